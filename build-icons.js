@@ -0,0 +1,58 @@
+// App Icon Builder
+// Draws the PWA and home screen icons: the default bank's stages as bubbles on the hero gradient.
+// Usage: `node build-icons.js`, then commit the `assets/` files it writes.
+const fs = require('fs');
+const path = require('path');
+const { Raster } = require('./raster.js');
+
+const OUTPUT_DIR = path.join(__dirname, 'assets');
+const ICON_SIZES = {
+    'apple-touch-icon.png': 180,
+    'icon-192.png': 192,
+    'icon-512.png': 512
+};
+const GRADIENT = ['#3B82F6', '#8B5CF6'];
+
+function getStageColors() {
+    const bank = JSON.parse(fs.readFileSync(path.join(__dirname, 'banks', 'default', 'bank.json'), 'utf8'));
+    return (bank.stages || []).map(stage => stage.color || '#FFFFFF');
+}
+
+function drawIcon(size, colors) {
+    const icon = new Raster(size, size);
+    icon.fillGradient(...GRADIENT);
+
+    // Keep the bubbles inside the central 60%, clear of any maskable icon crop
+    const columns = Math.ceil(Math.sqrt(colors.length));
+    const rows = Math.ceil(colors.length / columns);
+    const area = size * 0.6;
+    const cell = area / Math.max(columns, rows);
+    const radius = cell * 0.42;
+    const left = (size - cell * columns) / 2;
+    const top = (size - cell * rows) / 2;
+
+    colors.forEach((color, index) => {
+        const cx = left + (index % columns + 0.5) * cell;
+        const cy = top + (Math.floor(index / columns) + 0.5) * cell;
+        icon.fillCircle(cx, cy + size * 0.01, radius, Raster.parseColor('#000000', 0.15));
+        icon.fillCircle(cx, cy, radius, color);
+    });
+
+    return icon.toPng();
+}
+
+function build() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    const colors = getStageColors();
+
+    Object.keys(ICON_SIZES).forEach(file => {
+        fs.writeFileSync(path.join(OUTPUT_DIR, file), drawIcon(ICON_SIZES[file], colors));
+        console.log(`assets/${file}`);
+    });
+}
+
+if (require.main === module) {
+    build();
+}
+
+module.exports = { build, drawIcon };
@@ -0,0 +1,90 @@
+// Precache List Builder
+// Writes precache.js, the files sw.js caches on install and a version hashed from their contents.
+// Every bank is listed with its archived versions, so links answered against an older version or another
+// bank still score offline. Usage: `node build-precache.js` before each release, then commit `precache.js`.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { VENDOR_LIBRARIES, VENDOR_DIR } = require('./vendor-loader.js');
+
+const OUTPUT_FILE = path.join(__dirname, 'precache.js');
+
+const APP_SHELL = [
+    'index.html',
+    'script.js',
+    'styles.css',
+    'validator.js',
+    'vendor-loader.js',
+    'manifest.webmanifest',
+    'assets/apple-touch-icon.png',
+    'assets/icon-192.png',
+    'assets/icon-512.png',
+    'lang/manifest.json',
+    'share/pages.json'
+];
+
+const readJson = file => JSON.parse(fs.readFileSync(path.join(__dirname, file), 'utf8'));
+
+function listJson(dir) {
+    // Every .json file under dir, nested ones (such as versions/) included
+    return fs.readdirSync(path.join(__dirname, dir), { withFileTypes: true }).flatMap(entry => {
+        const file = `${dir}/${entry.name}`;
+        if (entry.isDirectory()) return listJson(file);
+        return entry.name.endsWith('.json') ? [file] : [];
+    }).sort();
+}
+
+function getFiles() {
+    const { languages } = readJson('lang/manifest.json');
+    const banks = fs.readdirSync(path.join(__dirname, 'banks'))
+        .filter(bankId => fs.existsSync(path.join(__dirname, 'banks', bankId, 'bank.json')))
+        .sort();
+
+    return [
+        ...APP_SHELL,
+        ...languages.map(language => `lang/${language.code}.json`),
+        ...banks.flatMap(bankId => listJson(`banks/${bankId}`))
+    ];
+}
+
+function getVendorFiles() {
+    return VENDOR_LIBRARIES.flatMap(library => [...library.scripts, ...(library.styles || [])])
+        .map(asset => `${VENDOR_DIR}${asset.file}`.replace(/^\.\//, ''));
+}
+
+function getVersion(files) {
+    // Changes whenever any cached file does, vendored libraries included
+    const hash = crypto.createHash('sha256');
+    [...files, ...getVendorFiles()].forEach(file => {
+        const fullPath = path.join(__dirname, file);
+        hash.update(`${file}\0`);
+        if (fs.existsSync(fullPath)) hash.update(fs.readFileSync(fullPath));
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+function render() {
+    const files = getFiles();
+    return `// Generated by build-precache.js; rerun it before each release instead of editing
+const PRECACHE_VERSION = '${getVersion(files)}';
+const PRECACHE_FILES = [
+${['./', ...files.map(file => `./${file}`)].map(file => `    '${file}'`).join(',\n')}
+];
+`;
+}
+
+function isUpToDate() {
+    return fs.existsSync(OUTPUT_FILE) && fs.readFileSync(OUTPUT_FILE, 'utf8') === render();
+}
+
+function build() {
+    const output = render();
+    fs.writeFileSync(OUTPUT_FILE, output);
+    console.log(`Wrote ${output.match(/^ {4}'/gm).length} file(s) to ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+if (require.main === module) {
+    build();
+}
+
+module.exports = { build, isUpToDate };
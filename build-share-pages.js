@@ -0,0 +1,249 @@
+// Share Page Builder
+// Pre-generates a static landing page per language and stage so link previews show the sharer's stage,
+// and draws a preview image per stage. Usage: `node build-share-pages.js [baseUrl]`, then commit the
+// `share/` directory and the images in `assets/`.
+const fs = require('fs');
+const path = require('path');
+const { Raster } = require('./raster.js');
+
+const DEFAULT_BASE_URL = 'https://CJHwong.github.io/stages-of-using-ai/';
+const BASE_LANGUAGE = 'en';
+const OUTPUT_DIR = path.join(__dirname, 'share');
+const IMAGE_DIR = path.join(__dirname, 'assets', 'og');
+const GENERIC_IMAGE = 'assets/og-image.png';
+const PAGE_LIST = 'pages.json';
+
+// Open Graph's recommended size
+const IMAGE_WIDTH = 1200;
+const IMAGE_HEIGHT = 630;
+const IMAGE_GRADIENT = ['#3B82F6', '#8B5CF6'];
+
+// Same fallback palette as the app, for stages without a color
+const DEFAULT_STAGE_COLORS = ['#EF4444', '#F59E0B', '#10B981', '#8B5CF6', '#3B82F6', '#EC4899'];
+
+// Seven-segment digits: which of the segments a-g are lit
+const DIGIT_SEGMENTS = ['abcdef', 'bc', 'abdeg', 'abcdg', 'bcfg', 'acdfg', 'acdefg', 'abc', 'abcdefg', 'abcdfg'];
+
+const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Same rule as the app: a language's keys win, anything missing comes from the fallback
+function mergeWithFallback(fallback, translation) {
+    const merged = { ...fallback };
+    Object.keys(translation || {}).forEach(key => {
+        merged[key] = isPlainObject(fallback?.[key]) && isPlainObject(translation[key])
+            ? mergeWithFallback(fallback[key], translation[key])
+            : translation[key];
+    });
+    return merged;
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function loadTranslations(language, languages, dir = 'lang') {
+    const chain = [...(language.fallbacks || []), BASE_LANGUAGE]
+        .filter(code => code !== language.code && languages.some(lang => lang.code === code));
+
+    return [...chain].reverse().concat(language.code).reduce((merged, code) => {
+        const file = path.join(__dirname, dir, `${code}.json`);
+        return fs.existsSync(file) ? mergeWithFallback(merged, readJson(file)) : merged;
+    }, {});
+}
+
+function getStages() {
+    // Every stage any bank defines, numbered by its position in the first bank that defines it
+    const banksDir = path.join(__dirname, 'banks');
+    const stages = [];
+    fs.readdirSync(banksDir).forEach(bankId => {
+        const bankFile = path.join(banksDir, bankId, 'bank.json');
+        if (!fs.existsSync(bankFile)) return;
+        const bankStages = readJson(bankFile).stages || [];
+        const ladder = bankStages.map((stage, index) =>
+            stage.color || DEFAULT_STAGE_COLORS[index % DEFAULT_STAGE_COLORS.length]
+        );
+        bankStages.forEach((stage, index) => {
+            if (stage.id && !stages.some(other => other.id === stage.id)) {
+                stages.push({ id: stage.id, number: index + 1, bankId, color: ladder[index], ladder });
+            }
+        });
+    });
+    return stages;
+}
+
+function withBankStageText(translations, bankStrings) {
+    // Same rule as the app: a bank's own stage text wins over the app's
+    const stageText = {};
+    ['stages', 'stageLabels'].forEach(section => {
+        if (bankStrings[section]) stageText[section] = bankStrings[section];
+    });
+    return mergeWithFallback(translations, stageText);
+}
+
+function drawDigits(image, text, centerX, centerY, height) {
+    const width = height * 0.55;
+    const thickness = height * 0.15;
+    const gap = height * 0.18;
+    const half = height / 2;
+    const segments = {
+        a: [thickness / 2, 0, width - thickness, thickness],
+        b: [width - thickness, thickness / 2, thickness, half - thickness / 2],
+        c: [width - thickness, half, thickness, half - thickness / 2],
+        d: [thickness / 2, height - thickness, width - thickness, thickness],
+        e: [0, half, thickness, half - thickness / 2],
+        f: [0, thickness / 2, thickness, half - thickness / 2],
+        g: [thickness / 2, half - thickness / 2, width - thickness, thickness]
+    };
+
+    const digits = String(text).split('');
+    const totalWidth = digits.length * width + (digits.length - 1) * gap;
+    digits.forEach((digit, index) => {
+        const left = centerX - totalWidth / 2 + index * (width + gap);
+        const top = centerY - half;
+        DIGIT_SEGMENTS[digit].split('').forEach(segment => {
+            const [x, y, w, h] = segments[segment];
+            image.fillRoundedRect(left + x, top + y, w, h, thickness / 2, '#FFFFFF');
+        });
+    });
+}
+
+function drawLadder(image, ladder, highlight, left, right, bottom) {
+    // One bar per stage, rising along the ladder; the highlighted stage in its color, the rest faded
+    const gap = 24;
+    const barWidth = (right - left - gap * (ladder.length - 1)) / ladder.length;
+    ladder.forEach((color, index) => {
+        const height = 120 + (260 * (index + 1)) / ladder.length;
+        const x = left + index * (barWidth + gap);
+        const fill = highlight === null || highlight === index ? color : Raster.parseColor('#FFFFFF', 0.25);
+        image.fillRoundedRect(x, bottom - height, barWidth, height, 16, fill);
+    });
+}
+
+function drawStageImage(stage) {
+    const image = new Raster(IMAGE_WIDTH, IMAGE_HEIGHT);
+    image.fillGradient(...IMAGE_GRADIENT);
+
+    // The stage number in a bubble of the stage's color, next to its place on the ladder
+    image.fillCircle(330, 325, 180, Raster.parseColor('#000000', 0.15));
+    image.fillCircle(330, 315, 180, stage.color);
+    drawDigits(image, stage.number, 330, 315, 200);
+    drawLadder(image, stage.ladder, stage.number - 1, 600, 1100, 500);
+
+    return image.toPng();
+}
+
+function drawGenericImage(ladder) {
+    const image = new Raster(IMAGE_WIDTH, IMAGE_HEIGHT);
+    image.fillGradient(...IMAGE_GRADIENT);
+    drawLadder(image, ladder, null, 250, 950, 500);
+    return image.toPng();
+}
+
+function buildImages(stages) {
+    fs.mkdirSync(IMAGE_DIR, { recursive: true });
+    stages.forEach(stage => {
+        fs.writeFileSync(path.join(IMAGE_DIR, `${stage.id}.png`), drawStageImage(stage));
+    });
+
+    // The home page's own preview shows the default bank's ladder
+    const defaultStage = stages.find(stage => stage.bankId === 'default') || stages[0];
+    if (defaultStage) {
+        fs.writeFileSync(path.join(__dirname, GENERIC_IMAGE), drawGenericImage(defaultStage.ladder));
+    }
+}
+
+function renderPage({ baseUrl, langCode, dir, stage, stageNumber, translations }) {
+    const stageInfo = translations.stages?.[stage] || {};
+    const stageTitle = stageInfo.title || translations.stageLabels?.[stage] || stage;
+    const title = (translations.share?.ogTitle || 'I\'m at Stage {stage}: {title} on the AI Developer Journey')
+        .replace('{stage}', stageNumber)
+        .replace('{title}', stageTitle);
+    const description = stageInfo.summary || translations.meta?.description || '';
+    const pageUrl = `${baseUrl}share/${langCode}/${stage}/`;
+    // The stage's card is drawn by buildImages, with no text, so every language shares it
+    const imageUrl = `${baseUrl}assets/og/${stage}.png`;
+
+    return `<!DOCTYPE html>
+<html lang="${escapeHtml(langCode)}" dir="${escapeHtml(dir)}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${escapeHtml(title)}</title>
+    <meta name="description" content="${escapeHtml(description)}">
+
+    <!-- Open Graph Meta Tags -->
+    <meta property="og:title" content="${escapeHtml(title)}">
+    <meta property="og:description" content="${escapeHtml(description)}">
+    <meta property="og:type" content="website">
+    <meta property="og:url" content="${escapeHtml(pageUrl)}">
+    <meta property="og:image" content="${escapeHtml(imageUrl)}">
+    <meta property="og:image:width" content="${IMAGE_WIDTH}">
+    <meta property="og:image:height" content="${IMAGE_HEIGHT}">
+    <meta name="twitter:card" content="summary_large_image">
+
+    <!-- Generated by build-share-pages.js; edit the translations and rebuild instead -->
+    <script>
+        // Hand the share code on to the app; crawlers stop here and read the tags above
+        const params = new URLSearchParams(window.location.search);
+        params.set('lang', ${JSON.stringify(langCode)});
+        window.location.replace('../../../?' + params.toString());
+    </script>
+</head>
+<body>
+    <p><a href="../../../?lang=${encodeURIComponent(langCode)}">${escapeHtml(translations.title || 'AI Developer Journey')}</a></p>
+</body>
+</html>
+`;
+}
+
+function build(baseUrl) {
+    const normalizedBaseUrl = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+    const { languages } = readJson(path.join(__dirname, 'lang', 'manifest.json'));
+    const stages = getStages();
+
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    buildImages(stages);
+
+    let pageCount = 0;
+    const pages = {};
+    languages.forEach(language => {
+        pages[language.code] = stages.map(stage => stage.id);
+        const translations = loadTranslations(language, languages);
+        const bankStrings = {};
+
+        stages.forEach(stage => {
+            bankStrings[stage.bankId] = bankStrings[stage.bankId] ||
+                loadTranslations(language, languages, path.join('banks', stage.bankId));
+
+            const pageDir = path.join(OUTPUT_DIR, language.code, stage.id);
+            fs.mkdirSync(pageDir, { recursive: true });
+            fs.writeFileSync(path.join(pageDir, 'index.html'), renderPage({
+                baseUrl: normalizedBaseUrl,
+                langCode: language.code,
+                dir: language.dir || 'ltr',
+                stage: stage.id,
+                stageNumber: stage.number,
+                translations: withBankStageText(translations, bankStrings[stage.bankId])
+            }));
+            pageCount++;
+        });
+    });
+
+    // The app reads this to link only to pages that exist, falling back to a plain app link until the next rebuild
+    fs.writeFileSync(path.join(OUTPUT_DIR, PAGE_LIST), `${JSON.stringify(pages, null, 2)}\n`);
+
+    console.log(`Wrote ${pageCount} share page(s) to ${path.relative(process.cwd(), OUTPUT_DIR) || '.'}`);
+    console.log(`Wrote ${stages.length} preview image(s) to ${path.relative(process.cwd(), IMAGE_DIR) || '.'}`);
+}
+
+if (require.main === module) {
+    build(process.argv[2] || DEFAULT_BASE_URL);
+}
+
+module.exports = { build, renderPage, drawStageImage };
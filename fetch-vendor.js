@@ -0,0 +1,41 @@
+// Vendor Fetcher
+// Downloads the libraries listed in vendor-loader.js into vendor/ so the app runs without CDN access.
+// Usage: `node fetch-vendor.js` (Node 18+), then commit the `vendor/` directory.
+const fs = require('fs');
+const path = require('path');
+const { VENDOR_LIBRARIES } = require('./vendor-loader.js');
+
+const OUTPUT_DIR = path.join(__dirname, 'vendor');
+
+async function download(asset) {
+    const response = await fetch(asset.cdn);
+    if (!response.ok) {
+        throw new Error(`${asset.cdn} returned ${response.status}`);
+    }
+    fs.writeFileSync(path.join(OUTPUT_DIR, asset.file), Buffer.from(await response.arrayBuffer()));
+}
+
+async function fetchAll() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    const assets = VENDOR_LIBRARIES.flatMap(library => [...library.scripts, ...(library.styles || [])]);
+    let failed = 0;
+    for (const asset of assets) {
+        try {
+            await download(asset);
+            console.log(`vendor/${asset.file}`);
+        } catch (error) {
+            console.error(`error: ${error.message}`);
+            failed++;
+        }
+    }
+
+    console.log(`Wrote ${assets.length - failed} of ${assets.length} file(s) to ${path.relative(process.cwd(), OUTPUT_DIR) || '.'}`);
+    process.exitCode = failed > 0 ? 1 : 0;
+}
+
+if (require.main === module) {
+    fetchAll();
+}
+
+module.exports = { fetchAll };
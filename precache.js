@@ -0,0 +1,23 @@
+// Generated by build-precache.js; rerun it before each release instead of editing
+const PRECACHE_VERSION = '7a5014ada08f';
+const PRECACHE_FILES = [
+    './',
+    './index.html',
+    './script.js',
+    './styles.css',
+    './validator.js',
+    './vendor-loader.js',
+    './manifest.webmanifest',
+    './assets/apple-touch-icon.png',
+    './assets/icon-192.png',
+    './assets/icon-512.png',
+    './lang/manifest.json',
+    './share/pages.json',
+    './lang/en.json',
+    './lang/zh-TW.json',
+    './banks/default/bank.json',
+    './banks/default/en.json',
+    './banks/default/versions/1.json',
+    './banks/default/versions/2.json',
+    './banks/default/zh-TW.json'
+];
@@ -0,0 +1,127 @@
+// Raster Images
+// A small RGBA canvas with a PNG encoder, so the build scripts can draw images with nothing but Node.
+// Shapes are antialiased by their distance to the edge; colors are hex strings such as "#3B82F6".
+const zlib = require('zlib');
+
+class Raster {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.pixels = Buffer.alloc(width * height * 4);
+    }
+
+    static parseColor(hex, alpha = 1) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return [(value >> 16) & 255, (value >> 8) & 255, value & 255, alpha];
+    }
+
+    blend(x, y, [r, g, b, a], coverage = 1) {
+        if (x < 0 || y < 0 || x >= this.width || y >= this.height) return;
+
+        const alpha = a * coverage;
+        if (alpha <= 0) return;
+
+        // Source-over compositing onto whatever is already there
+        const offset = (y * this.width + x) * 4;
+        const baseAlpha = this.pixels[offset + 3] / 255;
+        const outAlpha = alpha + baseAlpha * (1 - alpha);
+        [r, g, b].forEach((channel, index) => {
+            const base = this.pixels[offset + index];
+            this.pixels[offset + index] = Math.round((channel * alpha + base * baseAlpha * (1 - alpha)) / outAlpha);
+        });
+        this.pixels[offset + 3] = Math.round(outAlpha * 255);
+    }
+
+    fillGradient(from, to) {
+        // Diagonal, top left to bottom right, like the page's 135deg gradients
+        const [r1, g1, b1] = Raster.parseColor(from);
+        const [r2, g2, b2] = Raster.parseColor(to);
+        for (let y = 0; y < this.height; y++) {
+            for (let x = 0; x < this.width; x++) {
+                const t = (x + y) / (this.width + this.height - 2);
+                this.blend(x, y, [r1 + (r2 - r1) * t, g1 + (g2 - g1) * t, b1 + (b2 - b1) * t, 1]);
+            }
+        }
+    }
+
+    fillShape(bounds, distance, color) {
+        // distance(px, py) is negative inside the shape and positive outside
+        const rgba = typeof color === 'string' ? Raster.parseColor(color) : color;
+        const [left, top, right, bottom] = bounds.map(Math.round);
+        for (let y = Math.max(0, top - 1); y <= Math.min(this.height - 1, bottom + 1); y++) {
+            for (let x = Math.max(0, left - 1); x <= Math.min(this.width - 1, right + 1); x++) {
+                const coverage = Math.min(1, Math.max(0, 0.5 - distance(x + 0.5, y + 0.5)));
+                this.blend(x, y, rgba, coverage);
+            }
+        }
+    }
+
+    fillCircle(cx, cy, radius, color) {
+        this.fillShape(
+            [cx - radius, cy - radius, cx + radius, cy + radius],
+            (px, py) => Math.hypot(px - cx, py - cy) - radius,
+            color
+        );
+    }
+
+    fillRoundedRect(x, y, width, height, radius, color) {
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
+        const cx = x + halfWidth;
+        const cy = y + halfHeight;
+        const r = Math.min(radius, halfWidth, halfHeight);
+        this.fillShape([x, y, x + width, y + height], (px, py) => {
+            const dx = Math.abs(px - cx) - (halfWidth - r);
+            const dy = Math.abs(py - cy) - (halfHeight - r);
+            return Math.hypot(Math.max(dx, 0), Math.max(dy, 0)) + Math.min(Math.max(dx, dy), 0) - r;
+        }, color);
+    }
+
+    toPng() {
+        // One filter byte (none) per row, then the RGBA bytes
+        const rows = Buffer.alloc((this.width * 4 + 1) * this.height);
+        for (let y = 0; y < this.height; y++) {
+            this.pixels.copy(rows, y * (this.width * 4 + 1) + 1, y * this.width * 4, (y + 1) * this.width * 4);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(this.width, 0);
+        header.writeUInt32BE(this.height, 4);
+        header[8] = 8; // bit depth
+        header[9] = 6; // RGBA
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            pngChunk('IHDR', header),
+            pngChunk('IDAT', zlib.deflateSync(rows, { level: 9 })),
+            pngChunk('IEND', Buffer.alloc(0))
+        ]);
+    }
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+module.exports = { Raster };
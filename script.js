@@ -8,64 +8,189 @@ const AppState = {
     isLoading: true
 };
 
+// English is the base every language falls back to; the rest are listed in lang/manifest.json
+const BASE_LANGUAGE = 'en';
+
+// Used when lang/manifest.json cannot be loaded
+const FALLBACK_LANGUAGE_MANIFEST = {
+    languages: [{ code: BASE_LANGUAGE, name: 'English', label: 'EN', dir: 'ltr', fallbacks: [], locales: ['en', 'en-*'] }]
+};
+
+// Question bank used when no ?bank= parameter is given
+const DEFAULT_QUESTION_BANK = 'default';
+
+// Colors for stages whose bank definition has none, by position on the ladder
+const DEFAULT_STAGE_COLORS = ['#EF4444', '#F59E0B', '#10B981', '#8B5CF6', '#3B82F6', '#EC4899'];
+
+// Skill dimensions shown on the results radar, in display order
+const SKILL_DIMENSIONS = ['aiFamiliarity', 'toolUsage', 'errorTolerance', 'experimentation', 'teamSharing'];
+
+// localStorage key for an assessment that was left part way through
+const PROGRESS_STORAGE_KEY = 'assessment-progress';
+
+// localStorage key for completed results not yet shared or exported, e.g. at an offline session
+const EXPORT_QUEUE_STORAGE_KEY = 'export-queue';
+
+// Binary share code layout, see ShareCodec
+const SHARE_CODE_FORMAT_VERSION = 2;
+const SHARE_CODE_HEADER_SIZE = 6;
+
+// Top two stages closer than this share of the distribution are reported as a transition
+const TRANSITION_MARGIN = 0.05;
+
+// Strategy for banks without a "scoring" setting, see SCORING_STRATEGIES
+const DEFAULT_SCORING_STRATEGY = 'sum';
+
+// localStorage key for the motion and auto-advance settings, see MotionManager
+const MOTION_STORAGE_KEY = 'motion-settings';
+
+// Adaptive assessment defaults; a bank's "adaptive" block overrides any of them
+const ADAPTIVE_DEFAULTS = {
+    minQuestions: 6,
+    stopConfidence: 0.5,
+    followUpMargin: 0.1
+};
+
 // i18n System
 class I18nManager {
     constructor() {
-        this.currentLang = this.detectLanguage();
+        this.languages = FALLBACK_LANGUAGE_MANIFEST.languages;
+        this.currentLang = BASE_LANGUAGE;
         this.translations = {};
         this.loadingPromises = {};
+        this.filePromises = {};
+        this.reports = {};
+    }
+
+    async loadManifest() {
+        try {
+            const response = await fetch('./lang/manifest.json');
+            if (!response.ok) {
+                throw new Error('Failed to load language manifest');
+            }
+            const manifest = await response.json();
+            if (Array.isArray(manifest.languages) && manifest.languages.length > 0) {
+                this.languages = manifest.languages;
+            }
+        } catch (error) {
+            console.error('Error loading language manifest, using English only:', error);
+        }
+
+        this.currentLang = this.detectLanguage();
+        return this.languages;
+    }
+
+    getLanguage(code) {
+        return this.languages.find(language => language.code === code) || null;
+    }
+
+    getLanguageCodes() {
+        return this.languages.map(language => language.code);
+    }
+
+    getFallbackChain(lang) {
+        // Languages that fill in missing keys, in order; every chain ends at the base language
+        if (lang === BASE_LANGUAGE) return [];
+        const fallbacks = (this.getLanguage(lang)?.fallbacks || [])
+            .filter(code => code !== lang && code !== BASE_LANGUAGE && this.getLanguage(code));
+        return [...new Set(fallbacks), BASE_LANGUAGE];
     }
 
     detectLanguage() {
+        const codes = this.getLanguageCodes();
+
         // Check URL parameter first (highest priority)
         const urlParams = new URLSearchParams(window.location.search);
         const urlLang = urlParams.get('lang');
-        if (urlLang && ['en', 'zh-TW'].includes(urlLang)) {
+        if (urlLang && codes.includes(urlLang)) {
             return urlLang;
         }
 
         // Check localStorage (user's previous choice)
         const storedLang = localStorage.getItem('preferred-language');
-        if (storedLang && ['en', 'zh-TW'].includes(storedLang)) {
+        if (storedLang && codes.includes(storedLang)) {
             return storedLang;
         }
 
-        // Check browser languages (more comprehensive)
+        // Check browser languages against each language's locale patterns
         const browserLanguages = navigator.languages || [navigator.language || navigator.userLanguage];
         
         for (const lang of browserLanguages) {
-            // Check for exact matches first
-            if (lang === 'zh-TW' || lang === 'zh-Hant-TW' || lang === 'zh-Hant') {
-                return 'zh-TW';
-            }
-            if (lang === 'en' || lang.startsWith('en-')) {
-                return 'en';
-            }
-            
-            // Check for broader Chinese language codes
-            if (lang.startsWith('zh-TW') || lang.startsWith('zh-Hant') || 
-                lang === 'zh-HK' || lang === 'zh-MO') {
-                return 'zh-TW';
-            }
-            
-            // Other Chinese variants default to Traditional Chinese for this site
-            if (lang.startsWith('zh')) {
-                return 'zh-TW';
+            const match = this.matchLocale(lang);
+            if (match) {
+                return match;
             }
         }
 
-        // Check timezone as additional hint for Chinese users
+        // Check timezone as an additional hint
         try {
             const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-            if (timezone === 'Asia/Taipei' || timezone === 'Asia/Hong_Kong' || 
-                timezone === 'Asia/Macau') {
-                return 'zh-TW';
+            const byTimezone = this.languages.find(language => (language.timeZones || []).includes(timezone));
+            if (byTimezone) {
+                return byTimezone.code;
             }
         } catch (e) {
             // Timezone detection failed, continue with default
         }
 
-        return 'en'; // Default to English
+        return BASE_LANGUAGE;
+    }
+
+    matchLocale(locale) {
+        if (!locale) return null;
+        const normalized = locale.toLowerCase();
+        let best = null;
+        let bestSpecificity = 0;
+
+        // An exact pattern beats any wildcard; among wildcards ("zh-*") the longest prefix wins
+        this.languages.forEach(language => {
+            (language.locales || []).forEach(pattern => {
+                const lowerPattern = pattern.toLowerCase();
+                let specificity = 0;
+
+                if (lowerPattern.endsWith('*')) {
+                    const prefix = lowerPattern.slice(0, -1);
+                    if (normalized.startsWith(prefix)) {
+                        specificity = prefix.length;
+                    }
+                } else if (normalized === lowerPattern) {
+                    specificity = 1000 + lowerPattern.length;
+                }
+
+                if (specificity > bestSpecificity) {
+                    best = language.code;
+                    bestSpecificity = specificity;
+                }
+            });
+        });
+
+        return best;
+    }
+
+    renderLanguageSwitcher() {
+        const switcher = document.querySelector('.language-switcher');
+        if (!switcher) return;
+
+        switcher.innerHTML = this.languages.map(language => `
+            <button class="lang-btn${language.code === this.currentLang ? ' active' : ''}"
+                    data-lang="${language.code}" lang="${language.code}"
+                    title="${language.name}" aria-label="${language.name}">
+                ${language.label || language.code}
+            </button>
+        `).join('');
+    }
+
+    fetchTranslationFile(lang) {
+        if (!this.filePromises[lang]) {
+            this.filePromises[lang] = fetch(`./lang/${lang}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`Failed to load ${lang} translations`);
+                    }
+                    return response.json();
+                });
+        }
+        return this.filePromises[lang];
     }
 
     async loadTranslations(lang) {
@@ -77,36 +202,120 @@ class I18nManager {
             return this.loadingPromises[lang];
         }
 
-        this.loadingPromises[lang] = fetch(`./lang/${lang}.json`)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Failed to load ${lang} translations`);
+        this.loadingPromises[lang] = I18nManager.loadWithFallbacks(
+            [lang, ...this.getFallbackChain(lang)],
+            code => this.fetchTranslationFile(code),
+            code => `lang/${code}.json`
+        )
+            .then(({ translations, report }) => {
+                if (report) {
+                    this.reports[lang] = report;
+                    I18nManager.logReport(`lang/${lang}.json`, report);
                 }
-                return response.json();
-            })
-            .then(translations => {
                 this.translations[lang] = translations;
                 return translations;
             })
             .catch(error => {
                 console.error(`Error loading ${lang} translations:`, error);
-                // Fallback to English if available
-                if (lang !== 'en' && this.translations['en']) {
-                    return this.translations['en'];
-                }
                 throw error;
             });
 
         return this.loadingPromises[lang];
     }
 
+    static async loadWithFallbacks(chain, loadFile, describe) {
+        // chain[0] is the requested language and the last entry the base language
+        const files = await Promise.all(chain.map((code, index) =>
+            loadFile(code).catch(error => {
+                // Only the base language is required; any other missing file drops out of the chain
+                if (index === chain.length - 1) {
+                    throw error;
+                }
+                console.error(`Error loading ${describe(code)}, falling back:`, error);
+                return null;
+            })
+        ));
+
+        const base = files[files.length - 1];
+        const translations = files.slice(0, -1).reduceRight(
+            (merged, file) => file ? I18nManager.mergeWithFallback(merged, file) : merged,
+            base
+        );
+        const report = chain.length > 1 && files[0]
+            ? I18nManager.compareKeys(base, files[0])
+            : null;
+
+        return { translations, report };
+    }
+
+    static isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    static mergeWithFallback(base, overrides) {
+        // Arrays and strings are replaced as a whole; only nested objects merge per key
+        if (!I18nManager.isPlainObject(base) || !I18nManager.isPlainObject(overrides)) {
+            return overrides === undefined || overrides === null || overrides === '' ? base : overrides;
+        }
+
+        const merged = { ...base };
+        Object.keys(overrides).forEach(key => {
+            merged[key] = I18nManager.mergeWithFallback(base[key], overrides[key]);
+        });
+        return merged;
+    }
+
+    static findMissingKeys(reference, target, prefix = '') {
+        if (!I18nManager.isPlainObject(reference)) return [];
+
+        return Object.keys(reference).flatMap(key => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const value = I18nManager.isPlainObject(target) ? target[key] : undefined;
+
+            if (value === undefined || value === null || value === '') {
+                return [path];
+            }
+            // Languages need different plural forms, so a plural message only has to exist
+            if (I18nManager.isPluralMessage(reference[key])) {
+                return [];
+            }
+            return I18nManager.findMissingKeys(reference[key], value, path);
+        });
+    }
+
+    static isPluralMessage(value) {
+        // Plural messages are keyed by Intl.PluralRules category, e.g. { "one": "...", "other": "..." }
+        return I18nManager.isPlainObject(value) && typeof value.other === 'string';
+    }
+
+    static compareKeys(base, translations) {
+        return {
+            missing: I18nManager.findMissingKeys(base, translations),
+            extra: I18nManager.findMissingKeys(translations, base)
+        };
+    }
+
+    static logReport(source, report) {
+        if (report.missing.length > 0) {
+            console.warn(`${source} is missing ${report.missing.length} key(s), using English:`, report.missing);
+        }
+        if (report.extra.length > 0) {
+            console.warn(`${source} has ${report.extra.length} key(s) not in English:`, report.extra);
+        }
+    }
+
     async changeLanguage(lang) {
+        if (!this.getLanguage(lang)) {
+            console.warn(`Unsupported language: ${lang}`);
+            return false;
+        }
+
         try {
             await this.loadTranslations(lang);
             this.currentLang = lang;
             
-            // Update HTML lang attribute
-            document.documentElement.lang = lang;
+            // Update HTML lang and direction attributes
+            this.applyDocumentLanguage();
             
             // Store preference
             localStorage.setItem('preferred-language', lang);
@@ -126,6 +335,11 @@ class I18nManager {
         }
     }
 
+    applyDocumentLanguage() {
+        document.documentElement.lang = this.currentLang;
+        document.documentElement.dir = this.getLanguage(this.currentLang)?.dir || 'ltr';
+    }
+
     updateUI() {
         const translations = this.translations[this.currentLang];
         if (!translations) return;
@@ -196,198 +410,1454 @@ class I18nManager {
         });
     }
 
-    t(key, fallback = key) {
+    t(key, fallback = key, params = null) {
         const translation = this.getNestedTranslation(this.translations[this.currentLang], key);
-        return translation || fallback;
+        return this.format(translation || fallback, params);
+    }
+
+    format(message, params = null) {
+        // {name} placeholders take params.name; numbers are formatted for the current language
+        if (I18nManager.isPluralMessage(message)) {
+            const category = typeof params?.count === 'number'
+                ? new Intl.PluralRules(this.currentLang).select(params.count)
+                : 'other';
+            message = message[category] || message.other;
+        }
+        if (!params || typeof message !== 'string') return message;
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+            if (!(name in params)) return placeholder;
+            const value = params[name];
+            return typeof value === 'number' ? this.formatNumber(value) : String(value);
+        });
+    }
+
+    formatNumber(value, options = {}) {
+        return new Intl.NumberFormat(this.currentLang, options).format(value);
+    }
+
+    formatPercent(fraction) {
+        return this.formatNumber(fraction, { style: 'percent', maximumFractionDigits: 0 });
+    }
+
+    formatDate(date, options = { dateStyle: 'medium' }) {
+        return new Intl.DateTimeFormat(this.currentLang, options).format(new Date(date));
+    }
+
+    formatList(items, type = 'conjunction') {
+        // "1, 2 and 3" with the conjunction and punctuation of the current language; 'unit' leaves out the "and"
+        return new Intl.ListFormat(this.currentLang, { style: 'long', type }).format(items.map(String));
     }
 }
 
-// Assessment Logic
-class AssessmentManager {
+// Question Banks
+class QuestionBankManager {
     constructor(i18n) {
         this.i18n = i18n;
-        this.currentQuestionIndex = 0;
-        this.answers = [];
-        this.questions = [];
+        this.bankId = this.detectBank();
+        this.definition = null;
+        this.translations = {};
+        this.loadingPromises = {};
+        this.filePromises = {};
+        this.reports = {};
     }
 
-    loadQuestions() {
-        const translations = this.i18n.translations[this.i18n.currentLang];
-        this.questions = translations?.assessment?.questions || [];
-        return this.questions;
+    detectBank() {
+        const urlParams = new URLSearchParams(window.location.search);
+        const urlBank = urlParams.get('bank');
+        // Bank ids are directory names under ./banks, so only allow safe characters
+        if (urlBank && /^[a-z0-9_-]+$/i.test(urlBank)) {
+            return urlBank;
+        }
+        return DEFAULT_QUESTION_BANK;
     }
 
-    renderQuestion(index) {
-        const question = this.questions[index];
-        if (!question) return;
+    async fetchJson(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}`);
+        }
+        return response.json();
+    }
 
-        const container = document.getElementById('question-container');
-        if (!container) return;
+    async load() {
+        try {
+            this.definition = await this.fetchJson(`./banks/${this.bankId}/bank.json`);
+        } catch (error) {
+            if (this.bankId === DEFAULT_QUESTION_BANK) {
+                throw error;
+            }
+            console.warn(`Question bank "${this.bankId}" not available, using default:`, error);
+            this.bankId = DEFAULT_QUESTION_BANK;
+            this.definition = await this.fetchJson(`./banks/${this.bankId}/bank.json`);
+        }
+        return this.definition;
+    }
 
-        container.innerHTML = `
-            <div class="question active" data-question-id="${question.id}">
-                <h3>${question.question}</h3>
-                <div class="options">
-                    ${question.options.map((option, optionIndex) => `
-                        <button class="option" data-option-index="${optionIndex}">
-                            ${option.text}
-                        </button>
-                    `).join('')}
-                </div>
-            </div>
-        `;
+    async loadTranslations(lang) {
+        if (this.translations[lang]) {
+            return this.translations[lang];
+        }
 
-        // Add option click handlers
-        container.querySelectorAll('.option').forEach(optionBtn => {
-            optionBtn.addEventListener('click', (e) => {
-                // Remove previous selections
-                container.querySelectorAll('.option').forEach(btn => btn.classList.remove('selected'));
-                
-                // Select current option
-                e.target.classList.add('selected');
-                
-                // Store answer
-                const optionIndex = parseInt(e.target.dataset.optionIndex);
-                this.selectAnswer(index, optionIndex);
-                
-                // Auto-advance to next question after a brief delay (except on last question)
-                setTimeout(() => {
-                    if (this.currentQuestionIndex < this.questions.length - 1) {
-                        this.nextQuestion();
-                    }
-                    // On last question, just stay and let user click "Get Results" button
-                }, 600); // 600ms delay to allow user to see their selection
+        if (this.loadingPromises[lang]) {
+            return this.loadingPromises[lang];
+        }
+
+        this.loadingPromises[lang] = I18nManager.loadWithFallbacks(
+            [lang, ...this.i18n.getFallbackChain(lang)],
+            code => this.fetchTranslationFile(code),
+            code => `banks/${this.bankId}/${code}.json`
+        )
+            .then(({ translations, report }) => {
+                if (report) {
+                    this.reports[lang] = report;
+                    I18nManager.logReport(`banks/${this.bankId}/${lang}.json`, report);
+                }
+                this.translations[lang] = translations;
+                return this.applyStageText(lang, translations);
+            })
+            .then(() => this.translations[lang])
+            .catch(error => {
+                console.error(`Error loading ${lang} strings for question bank "${this.bankId}":`, error);
+                throw error;
             });
+
+        return this.loadingPromises[lang];
+    }
+
+    async applyStageText(lang, strings) {
+        // A bank with its own ladder names and describes its stages; that text wins over the app's
+        const stageText = {};
+        ['stages', 'stageLabels'].forEach(section => {
+            if (strings[section]) stageText[section] = strings[section];
         });
+        if (Object.keys(stageText).length === 0) return;
 
-        // Restore previous answer if exists
-        const previousAnswer = this.answers[index];
-        if (previousAnswer !== undefined) {
-            const optionBtn = container.querySelector(`[data-option-index="${previousAnswer}"]`);
-            if (optionBtn) {
-                optionBtn.classList.add('selected');
-            }
+        const appTranslations = await this.i18n.loadTranslations(lang);
+        this.i18n.translations[lang] = I18nManager.mergeWithFallback(appTranslations, stageText);
+    }
+
+    fetchTranslationFile(lang) {
+        if (!this.filePromises[lang]) {
+            this.filePromises[lang] = this.fetchJson(`./banks/${this.bankId}/${lang}.json`);
         }
+        return this.filePromises[lang];
+    }
 
-        this.updateProgress();
-        this.updateNavigationButtons();
+    async loadDefinition(bankId, version) {
+        // Shared links name the bank version they were answered against; older versions live in versions/
+        if (bankId === this.bankId && version === this.definition?.version) {
+            return this.definition;
+        }
+
+        const cacheKey = `${bankId}@${version}`;
+        this.definitionCache = this.definitionCache || {};
+        if (!this.definitionCache[cacheKey]) {
+            this.definitionCache[cacheKey] = this.fetchJson(`./banks/${bankId}/bank.json`)
+                .then(definition => definition.version === version
+                    ? definition
+                    : this.fetchJson(`./banks/${bankId}/versions/${version}.json`));
+        }
+        return this.definitionCache[cacheKey];
     }
 
-    selectAnswer(questionIndex, optionIndex) {
-        this.answers[questionIndex] = optionIndex;
-        this.updateNavigationButtons();
+    getStageIds() {
+        return (this.definition?.stages || []).map(stage => stage.id);
     }
 
-    updateProgress() {
-        const progressFill = document.getElementById('progress-fill');
-        const progressText = document.getElementById('progress-text');
-        
-        if (progressFill && progressText) {
-            const progress = ((this.currentQuestionIndex + 1) / this.questions.length) * 100;
-            progressFill.style.width = `${progress}%`;
-            progressText.textContent = `${this.currentQuestionIndex + 1}/${this.questions.length}`;
-        }
+    getStages(definition = this.definition) {
+        // Stages are listed in ladder order; the first one is stage 1
+        const stages = definition?.stages || [];
+        return stages.map((stage, index) => {
+            // Without typical skills, a stage sits at its position on the radar's 1-5 scale
+            const level = stages.length > 1 ? Math.round((1 + (index / (stages.length - 1)) * 4) * 10) / 10 : 1;
+            return {
+                id: stage.id,
+                number: index + 1,
+                color: stage.color || DEFAULT_STAGE_COLORS[index % DEFAULT_STAGE_COLORS.length],
+                skills: SKILL_DIMENSIONS.map(skill => stage.skills?.[skill] ?? level)
+            };
+        });
     }
 
-    updateNavigationButtons() {
-        const prevBtn = document.getElementById('prev-question');
-        const nextBtn = document.getElementById('next-question');
-        const finishBtn = document.getElementById('finish-assessment');
+    getStage(stageId) {
+        return this.getStages().find(stage => stage.id === stageId) || null;
+    }
 
-        if (prevBtn) {
-            prevBtn.disabled = this.currentQuestionIndex === 0;
-        }
+    getStageNumber(stageId) {
+        return this.getStage(stageId)?.number ?? stageId;
+    }
 
-        const hasAnswer = this.answers[this.currentQuestionIndex] !== undefined;
-        const isLastQuestion = this.currentQuestionIndex === this.questions.length - 1;
+    getUntranslatedQuestionIds(lang) {
+        // Questions whose text or option text is missing in this language and shown in a fallback
+        const missing = this.reports[lang]?.missing || [];
+        if (missing.length === 0) return [];
 
-        if (nextBtn && finishBtn) {
-            // Hide next button since we auto-advance
-            nextBtn.style.display = 'none';
-            
-            if (isLastQuestion) {
-                finishBtn.style.display = hasAnswer ? 'inline-block' : 'none';
-            } else {
-                finishBtn.style.display = 'none';
-            }
-        }
+        // A missing key can be a whole subtree, e.g. "questions.13" when the question is absent
+        const isMissing = key => key && missing.some(path => key === path || key.startsWith(`${path}.`));
+        return (this.definition?.questions || [])
+            .filter(question => isMissing(question.textKey) ||
+                question.options.some(option => isMissing(option.textKey)))
+            .map(question => question.id);
     }
 
-    nextQuestion() {
-        if (this.currentQuestionIndex < this.questions.length - 1) {
-            this.currentQuestionIndex++;
-            this.renderQuestion(this.currentQuestionIndex);
-        }
+    getQuestions(lang, definition = this.definition) {
+        const strings = this.translations[lang] || this.translations[BASE_LANGUAGE];
+        const resolve = key => key.split('.').reduce((o, k) => o?.[k], strings) || key;
+
+        return (definition?.questions || []).map(question => ({
+            id: question.id,
+            type: question.type || 'single',
+            weight: question.weight ?? 1,
+            question: resolve(question.textKey),
+            skills: question.skills || [],
+            showIf: question.showIf || [],
+            followUp: question.followUp || null,
+            options: question.options.map(option => ({
+                id: option.id,
+                // Middle points of a scale may have no label
+                text: option.textKey ? resolve(option.textKey) : '',
+                score: option.score
+            }))
+        }));
     }
 
-    previousQuestion() {
-        if (this.currentQuestionIndex > 0) {
-            this.currentQuestionIndex--;
-            this.renderQuestion(this.currentQuestionIndex);
+    async validate() {
+        const i18n = this.i18n;
+        if (typeof QuestionBankValidator === 'undefined') {
+            console.warn('Question bank validator not loaded, skipping validation');
+            return { valid: true, errors: [], warnings: [] };
         }
-    }
 
-    calculateResults() {
-        const stageScores = { stage1: 0, stage2: 0, stage3: 0, stage4: 0 };
+        // Compare the active language against English, the language every bank is authored in
+        const languages = [...new Set([BASE_LANGUAGE, i18n.currentLang])];
+        const bankTranslations = {};
+        const appTranslations = {};
+        for (const lang of languages) {
+            bankTranslations[lang] = await this.loadTranslations(lang);
+            appTranslations[lang] = await i18n.loadTranslations(lang);
+        }
 
-        this.answers.forEach((answerIndex, questionIndex) => {
-            const question = this.questions[questionIndex];
-            const selectedOption = question.options[answerIndex];
-            
-            if (selectedOption && selectedOption.score) {
-                Object.keys(selectedOption.score).forEach(stage => {
-                    stageScores[stage] += selectedOption.score[stage];
-                });
-            }
-        });
+        const report = new QuestionBankValidator({
+            bank: this.definition,
+            bankTranslations,
+            appTranslations
+        }).validate();
 
-        // Find the stage with the highest score
-        const maxStage = Object.keys(stageScores).reduce((a, b) => 
-            stageScores[a] > stageScores[b] ? a : b
-        );
+        report.warnings.forEach(warning => console.warn(`Question bank "${this.bankId}": ${warning}`));
+        report.errors.forEach(error => console.error(`Question bank "${this.bankId}": ${error}`));
 
+        return report;
+    }
+
+    getBankInfo() {
         return {
-            stage: maxStage,
-            scores: stageScores,
-            percentage: Math.round((stageScores[maxStage] / (this.questions.length * 3)) * 100)
+            id: this.definition?.id || this.bankId,
+            version: this.definition?.version || 1
         };
     }
+}
+
+// Scoring Strategies
+// Each turns the answered questions, as { score, weight } entries, into stage scores. The highest score wins,
+// ties going to the earlier stage, unless the strategy names its winner as "median" does.
+const SCORING_STRATEGIES = {
+    // Plain total of every answer's stage scores, scaled by the question's weight
+    sum(entries, stageIds) {
+        const scores = {};
+        stageIds.forEach(stage => {
+            scores[stage] = entries.reduce((sum, entry) => sum + (entry.score[stage] || 0) * entry.weight, 0);
+        });
+        return { scores };
+    },
+
+    // Every question hands out the same total, so options with large scores don't outweigh the rest
+    normalized(entries, stageIds) {
+        const scores = {};
+        stageIds.forEach(stage => {
+            scores[stage] = 0;
+        });
+        entries.forEach(entry => {
+            const total = stageIds.reduce((sum, stage) => sum + (entry.score[stage] || 0), 0);
+            if (total === 0) return;
+            stageIds.forEach(stage => {
+                scores[stage] += ((entry.score[stage] || 0) / total) * entry.weight;
+            });
+        });
+        return { scores };
+    },
+
+    // Every answer votes for the stage it favours most; the weighted median vote on the ladder wins
+    median(entries, stageIds) {
+        const scores = {};
+        stageIds.forEach(stage => {
+            scores[stage] = 0;
+        });
+        entries.forEach(entry => {
+            const leader = stageIds.reduce((best, stage) =>
+                (entry.score[stage] || 0) > (entry.score[best] || 0) ? stage : best, stageIds[0]);
+            if (entry.score[leader] > 0) {
+                scores[leader] += entry.weight;
+            }
+        });
+
+        const totalVotes = stageIds.reduce((sum, stage) => sum + scores[stage], 0);
+        let votesSoFar = 0;
+        const stage = totalVotes > 0
+            ? stageIds.find(id => (votesSoFar += scores[id]) >= totalVotes / 2)
+            : null;
+        return { scores, stage };
+    }
+};
 
-    reset() {
+// Assessment Logic
+class AssessmentManager {
+    constructor(i18n, questionBank, motion = new MotionManager()) {
+        this.i18n = i18n;
+        this.questionBank = questionBank;
+        this.motion = motion;
         this.currentQuestionIndex = 0;
         this.answers = [];
-        this.loadQuestions();
+        this.questions = [];
+        // Question indexes in the order they were asked, so Previous retraces adaptive jumps
+        this.path = [0];
     }
-}
 
-// Visualization Manager
-class VisualizationManager {
-    constructor() {
-        this.charts = {};
-        this.animations = {};
+    loadQuestions() {
+        this.questions = this.questionBank.getQuestions(this.i18n.currentLang);
+        return this.questions;
     }
 
-    initParticles(containerId, config = {}) {
-        const container = document.getElementById(containerId);
-        if (!container) {
-            console.warn(`Particles container ${containerId} not found`);
-            return;
-        }
-        
-        if (!window.particlesJS) {
-            console.warn('Particles.js library not loaded');
-            return;
-        }
+    reloadQuestions() {
+        // Carry answers across by question and option id rather than position, and report
+        // any that no longer have a matching question or option
+        const answersById = this.getAnswersById();
+        const pathIds = this.path.map(index => this.questions[index]?.id);
+        const currentId = this.questions[this.currentQuestionIndex]?.id;
 
-        // Ensure container has proper styling
-        if (container.style.position !== 'absolute') {
-            container.style.position = 'absolute';
-            container.style.top = '0';
-            container.style.left = '0';
-            container.style.width = '100%';
-            container.style.height = '100%';
-            container.style.zIndex = '1';
-        }
+        this.loadQuestions();
+
+        const indexOf = id => this.questions.findIndex(question => String(question.id) === String(id));
+        const missing = [];
+        this.answers = [];
+        Object.keys(answersById).forEach(questionId => {
+            const questionIndex = indexOf(questionId);
+            const question = this.questions[questionIndex];
+            const optionIds = [].concat(answersById[questionId]);
+            const optionIndexes = optionIds.map(optionId =>
+                question ? question.options.findIndex(option => String(option.id) === String(optionId)) : -1
+            );
+
+            if (!question || optionIndexes.includes(-1)) {
+                missing.push(questionId);
+                return;
+            }
+
+            const type = AssessmentManager.getQuestionType(question);
+            this.answers[questionIndex] = type === 'multi' || type === 'rank' ? optionIndexes : optionIndexes[0];
+        });
+
+        this.path = pathIds.map(indexOf).filter(index => index !== -1);
+        const currentIndex = indexOf(currentId);
+        this.currentQuestionIndex = currentIndex !== -1 ? currentIndex : (this.path[this.path.length - 1] ?? 0);
+        if (this.path.length === 0) this.path = [this.currentQuestionIndex];
+
+        // Step back to the first dropped answer so it is asked again; later answers stay filled in
+        const firstDropped = this.path.findIndex(index => missing.includes(String(this.questions[index].id)));
+        if (firstDropped !== -1) {
+            this.path = this.path.slice(0, firstDropped + 1);
+            this.currentQuestionIndex = this.path[firstDropped];
+        }
+
+        this.saveProgress();
+        return { missing };
+    }
+
+    getAnswersById() {
+        const answersById = {};
+        this.answers.forEach((answer, questionIndex) => {
+            const question = this.questions[questionIndex];
+            if (!question || !AssessmentManager.isAnswered(answer)) return;
+
+            const toId = optionIndex => question.options[optionIndex]?.id;
+            answersById[question.id] = Array.isArray(answer) ? answer.map(toId) : toId(answer);
+        });
+        return answersById;
+    }
+
+    renderQuestion(index, { focusHeading = true } = {}) {
+        const question = this.questions[index];
+        if (!question) return;
+
+        const container = document.getElementById('question-container');
+        if (!container) return;
+
+        const type = AssessmentManager.getQuestionType(question);
+        const hint = {
+            multi: this.i18n.t('assessment.multiHint', 'Select all that apply'),
+            rank: this.i18n.t('assessment.rankHint', 'Put these in order, from most to least like you')
+        }[type];
+
+        container.innerHTML = `
+            <div class="question active" data-question-id="${question.id}">
+                <h3 id="question-title-${question.id}" tabindex="-1">${question.question}</h3>
+                ${hint ? `<p class="question-hint">${hint}</p>` : ''}
+                <div class="answer-controls"></div>
+            </div>
+        `;
+
+        // Any order is a valid ranking, so a rank question starts answered with the listed order
+        if (type === 'rank' && !AssessmentManager.isAnswered(this.answers[index])) {
+            this.answers[index] = question.options.map((option, optionIndex) => optionIndex);
+        }
+
+        this.renderAnswerControls(container.querySelector('.answer-controls'), question, this.answers[index], (answer, { advance }) => {
+            this.selectAnswer(index, answer);
+
+            if (!advance || !this.motion.isAutoAdvance()) return;
+
+            // Auto-advance to next question after a brief delay (except on last question)
+            setTimeout(() => {
+                if (this.getNextQuestionIndex() !== null) {
+                    this.nextQuestion();
+                }
+                // On last question, just stay and let user click "Get Results" button
+            }, 600); // 600ms delay to allow user to see their selection
+        });
+
+        this.updateProgress();
+        this.updateNavigationButtons();
+
+        // Screen readers start from the new question rather than the control that advanced
+        if (focusHeading) {
+            container.querySelector('h3')?.focus({ preventScroll: true });
+        }
+    }
+
+    bindRadioKeys(radios, keySteps, select, { wrap = false } = {}) {
+        // Roving focus: arrow keys move and check within the group, Tab leaves it
+        const last = radios.length - 1;
+        radios.forEach((radio, radioIndex) => {
+            radio.addEventListener('keydown', (e) => {
+                const rtl = document.documentElement.dir === 'rtl';
+                let target;
+                if (e.key === 'Home') {
+                    target = 0;
+                } else if (e.key === 'End') {
+                    target = last;
+                } else {
+                    const step = keySteps(rtl)[e.key];
+                    if (step === undefined) return;
+                    target = radioIndex + step;
+                    target = wrap ? (target + radios.length) % radios.length : Math.min(last, Math.max(0, target));
+                }
+
+                // Keep the arrows from also moving between questions
+                e.preventDefault();
+                e.stopPropagation();
+                select(target, false);
+                radios[target].focus();
+            });
+        });
+    }
+
+    selectByNumber(number) {
+        // Number-key shortcut: 1 picks the first option, and so on
+        const control = document.querySelector(
+            `#question-container .answer-controls [data-option-index="${number - 1}"]`
+        );
+        if (!control) return false;
+
+        control.focus();
+        control.click();
+        return true;
+    }
+
+    renderAnswerControls(element, question, answer, onChange, labelledBy = `question-title-${question.id}`) {
+        // Shared by the assessment and the results review; onChange gets the new answer and
+        // whether the choice is final enough to move on
+        const type = AssessmentManager.getQuestionType(question);
+
+        if (type === 'scale') {
+            const last = question.options.length - 1;
+            element.innerHTML = `
+                <div class="scale" role="radiogroup" aria-labelledby="${labelledBy}">
+                    ${question.options.map((option, optionIndex) => `
+                        <button class="scale-point${optionIndex === answer ? ' selected' : ''}" role="radio"
+                                data-option-index="${optionIndex}" aria-checked="${optionIndex === answer}"
+                                tabindex="${optionIndex === (answer ?? 0) ? 0 : -1}"
+                                ${option.text ? `aria-label="${optionIndex + 1} - ${option.text}"` : ''}>
+                            ${optionIndex + 1}
+                        </button>
+                    `).join('')}
+                </div>
+                <div class="scale-labels">
+                    <span>${question.options[0].text || ''}</span>
+                    <span>${question.options[last].text || ''}</span>
+                </div>
+            `;
+
+            const points = Array.from(element.querySelectorAll('.scale-point'));
+            const select = (optionIndex, advance) => {
+                points.forEach((point, pointIndex) => {
+                    point.classList.toggle('selected', pointIndex === optionIndex);
+                    point.setAttribute('aria-checked', String(pointIndex === optionIndex));
+                    point.tabIndex = pointIndex === optionIndex ? 0 : -1;
+                });
+                onChange(optionIndex, { advance });
+            };
+
+            points.forEach((point, optionIndex) => {
+                point.addEventListener('click', () => select(optionIndex, true));
+            });
+            // Up and the reading direction move along the scale
+            this.bindRadioKeys(points, rtl => ({ ArrowUp: 1, ArrowDown: -1, ArrowRight: rtl ? -1 : 1, ArrowLeft: rtl ? 1 : -1 }), select);
+            return;
+        }
+
+        if (type === 'rank') {
+            const order = AssessmentManager.isAnswered(answer)
+                ? answer
+                : question.options.map((option, optionIndex) => optionIndex);
+
+            element.innerHTML = `
+                <ol class="rank-list" aria-labelledby="${labelledBy}">
+                    ${order.map((optionIndex, position) => `
+                        <li class="rank-item">
+                            <span class="rank-text">${question.options[optionIndex].text}</span>
+                            <button class="rank-move" data-position="${position}" data-step="-1"
+                                    aria-label="${this.i18n.t('assessment.moveUp', 'Move up')}" ${position === 0 ? 'disabled' : ''}>↑</button>
+                            <button class="rank-move" data-position="${position}" data-step="1"
+                                    aria-label="${this.i18n.t('assessment.moveDown', 'Move down')}" ${position === order.length - 1 ? 'disabled' : ''}>↓</button>
+                        </li>
+                    `).join('')}
+                </ol>
+            `;
+
+            element.querySelectorAll('.rank-move').forEach(moveBtn => {
+                moveBtn.addEventListener('click', () => {
+                    const position = parseInt(moveBtn.dataset.position);
+                    const step = parseInt(moveBtn.dataset.step);
+                    const reordered = [...order];
+                    [reordered[position], reordered[position + step]] = [reordered[position + step], reordered[position]];
+
+                    onChange(reordered, { advance: false });
+                    this.renderAnswerControls(element, question, reordered, onChange, labelledBy);
+
+                    // Keep focus on the same control so repeated presses keep moving the item
+                    const target = element.querySelector(`.rank-move[data-position="${position + step}"][data-step="${step}"]`) ||
+                        element.querySelector(`.rank-move[data-position="${position + step}"]:not([disabled])`);
+                    target?.focus();
+                });
+            });
+            return;
+        }
+
+        const isMulti = type === 'multi';
+        const selected = new Set(isMulti ? (answer || []) : [answer]);
+        const focusIndex = question.options.findIndex((option, optionIndex) => selected.has(optionIndex));
+
+        element.innerHTML = `
+            <div class="options" role="${isMulti ? 'group' : 'radiogroup'}" aria-labelledby="${labelledBy}">
+                ${question.options.map((option, optionIndex) => `
+                    <button class="option${selected.has(optionIndex) ? ' selected' : ''}" data-option-index="${optionIndex}"
+                            ${isMulti
+                                ? `aria-pressed="${selected.has(optionIndex)}"`
+                                : `role="radio" aria-checked="${selected.has(optionIndex)}" tabindex="${optionIndex === Math.max(focusIndex, 0) ? 0 : -1}"`}>
+                        ${option.text}
+                    </button>
+                `).join('')}
+            </div>
+        `;
+
+        const optionBtns = Array.from(element.querySelectorAll('.option'));
+        const check = (optionIndex, advance) => {
+            optionBtns.forEach((btn, btnIndex) => {
+                btn.classList.toggle('selected', btnIndex === optionIndex);
+                btn.setAttribute('aria-checked', String(btnIndex === optionIndex));
+                btn.tabIndex = btnIndex === optionIndex ? 0 : -1;
+            });
+            onChange(optionIndex, { advance });
+        };
+
+        if (!isMulti) {
+            // Options are listed top to bottom, so both arrow pairs step through them
+            this.bindRadioKeys(optionBtns, rtl => ({
+                ArrowDown: 1, ArrowUp: -1, ArrowRight: rtl ? -1 : 1, ArrowLeft: rtl ? 1 : -1
+            }), check, { wrap: true });
+        }
+
+        optionBtns.forEach(optionBtn => {
+            optionBtn.addEventListener('click', () => {
+                const optionIndex = parseInt(optionBtn.dataset.optionIndex);
+
+                if (isMulti) {
+                    // Toggle; an empty selection counts as unanswered
+                    if (selected.has(optionIndex)) {
+                        selected.delete(optionIndex);
+                    } else {
+                        selected.add(optionIndex);
+                    }
+                    optionBtn.classList.toggle('selected', selected.has(optionIndex));
+                    optionBtn.setAttribute('aria-pressed', String(selected.has(optionIndex)));
+                    const choices = [...selected].sort((a, b) => a - b);
+                    onChange(choices.length > 0 ? choices : undefined, { advance: false });
+                    return;
+                }
+
+                check(optionIndex, true);
+            });
+        });
+    }
+
+    selectAnswer(questionIndex, answer) {
+        this.answers[questionIndex] = answer;
+        this.saveProgress();
+        this.updateProgress();
+        this.updateNavigationButtons();
+    }
+
+    saveProgress() {
+        const definition = this.questionBank.definition;
+        const progress = {
+            answers: this.answers.map(answer => answer === undefined ? null : answer),
+            currentQuestionIndex: this.currentQuestionIndex,
+            path: this.path,
+            // The checksum catches banks edited without a version bump
+            bank: { id: definition?.id, version: definition?.version, checksum: ShareCodec.checksum(definition || {}) },
+            language: this.i18n.currentLang,
+            updatedAt: Date.now()
+        };
+
+        try {
+            localStorage.setItem(PROGRESS_STORAGE_KEY, JSON.stringify(progress));
+        } catch (error) {
+            console.warn('Failed to save assessment progress:', error);
+        }
+    }
+
+    getSavedProgress() {
+        try {
+            const stored = localStorage.getItem(PROGRESS_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            console.warn('Failed to read saved assessment progress:', error);
+            return null;
+        }
+    }
+
+    clearProgress() {
+        try {
+            localStorage.removeItem(PROGRESS_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Failed to clear saved assessment progress:', error);
+        }
+    }
+
+    isProgressCompatible(progress) {
+        const definition = this.questionBank.definition;
+        const questionCount = definition?.questions?.length || 0;
+        const isIndex = value => Number.isInteger(value) && value >= 0 && value < questionCount;
+
+        return Boolean(progress) &&
+            progress.bank?.id === definition?.id &&
+            progress.bank?.version === definition?.version &&
+            progress.bank?.checksum === ShareCodec.checksum(definition) &&
+            Array.isArray(progress.answers) && progress.answers.length <= questionCount &&
+            Array.isArray(progress.path) && progress.path.length > 0 && progress.path.every(isIndex) &&
+            isIndex(progress.currentQuestionIndex);
+    }
+
+    restoreProgress(progress) {
+        if (!this.isProgressCompatible(progress)) {
+            return false;
+        }
+
+        this.loadQuestions();
+        this.answers = progress.answers.map(answer => answer === null ? undefined : answer);
+        this.path = [...progress.path];
+        this.currentQuestionIndex = progress.currentQuestionIndex;
+        return true;
+    }
+
+    updateProgress() {
+        const progressFill = document.getElementById('progress-fill');
+        const progressText = document.getElementById('progress-text');
+        
+        if (progressFill && progressText) {
+            // The total shifts as conditions skip questions and follow-ups are added
+            const position = this.path.length;
+            const total = position + this.countRemainingQuestions();
+            const label = this.i18n.t('assessment.progress', 'Question {current} of {total}', { current: position, total });
+            progressFill.style.width = `${(position / total) * 100}%`;
+            progressText.textContent = `${position}/${total}`;
+
+            const progressBar = progressFill.parentElement;
+            progressBar.setAttribute('aria-valuenow', position);
+            progressBar.setAttribute('aria-valuemax', total);
+            progressBar.setAttribute('aria-valuetext', label);
+
+            // Announce only when the question changes, not on every answer
+            const announcement = document.getElementById('progress-announcement');
+            if (announcement && announcement.textContent !== label) {
+                announcement.textContent = label;
+            }
+        }
+    }
+
+    updateNavigationButtons() {
+        const prevBtn = document.getElementById('prev-question');
+        const nextBtn = document.getElementById('next-question');
+        const finishBtn = document.getElementById('finish-assessment');
+
+        if (prevBtn) {
+            prevBtn.disabled = this.path.length <= 1;
+        }
+
+        const hasAnswer = AssessmentManager.isAnswered(this.answers[this.currentQuestionIndex]);
+        const isLastQuestion = hasAnswer && this.getNextQuestionIndex() === null;
+        this.updateAssessmentHint(isLastQuestion);
+
+        if (nextBtn && finishBtn) {
+            // Single choices auto-advance unless that is turned off; other types need an explicit Next once answered
+            const autoAdvances = this.motion.isAutoAdvance() &&
+                AssessmentManager.getQuestionType(this.questions[this.currentQuestionIndex]) === 'single';
+            nextBtn.style.display = !autoAdvances && hasAnswer && !isLastQuestion ? 'inline-block' : 'none';
+            
+            if (isLastQuestion) {
+                finishBtn.style.display = hasAnswer ? 'inline-block' : 'none';
+            } else {
+                finishBtn.style.display = 'none';
+            }
+        }
+    }
+
+    updateAssessmentHint(isLastQuestion) {
+        const hint = document.getElementById('assessment-hint');
+        if (!hint) return;
+
+        const question = this.questions[this.currentQuestionIndex];
+        if (question?.followUp) {
+            hint.textContent = this.i18n.t('assessment.followUpHint', 'Your answers sit between two stages, so here is one more question to settle it.');
+        } else if (isLastQuestion && this.shouldStopEarly()) {
+            hint.textContent = this.i18n.t('assessment.earlyFinishHint', 'That is enough for a confident result. You can see it now.');
+        } else {
+            hint.textContent = '';
+        }
+    }
+
+    nextQuestion() {
+        const nextIndex = this.getNextQuestionIndex();
+        if (nextIndex !== null) {
+            this.path.push(nextIndex);
+            this.currentQuestionIndex = nextIndex;
+            this.saveProgress();
+            this.renderQuestion(this.currentQuestionIndex);
+        }
+    }
+
+    previousQuestion() {
+        if (this.path.length > 1) {
+            this.path.pop();
+            this.currentQuestionIndex = this.path[this.path.length - 1];
+            this.saveProgress();
+            this.renderQuestion(this.currentQuestionIndex);
+        }
+    }
+
+    getAdaptiveSettings() {
+        // Banks opt in with an "adaptive" block; without one every applicable question is asked in order
+        const adaptive = this.questionBank.definition?.adaptive;
+        return adaptive ? { ...ADAPTIVE_DEFAULTS, ...adaptive } : null;
+    }
+
+    getActiveAnswers() {
+        // Answers left behind after going back belong to questions that may no longer be asked
+        const answers = [];
+        this.path.forEach(index => {
+            if (AssessmentManager.isAnswered(this.answers[index])) answers[index] = this.answers[index];
+        });
+        return answers;
+    }
+
+    getNextQuestionIndex() {
+        const answers = this.getActiveAnswers();
+
+        if (this.shouldStopEarly()) {
+            return null;
+        }
+
+        const nextCore = this.questions.findIndex((question, index) =>
+            index > this.currentQuestionIndex && !question.followUp &&
+            AssessmentManager.isQuestionEligible(question, answers, this.questions)
+        );
+        if (nextCore !== -1) {
+            return nextCore;
+        }
+
+        return this.getFollowUpIndex(answers);
+    }
+
+    getFollowUpIndex(answers) {
+        const settings = this.getAdaptiveSettings();
+        if (!settings) return null;
+
+        // Only a close call between the top two stages earns a follow-up
+        const { distribution } = this.calculateResults(answers);
+        const [first, second] = Object.keys(distribution).sort((a, b) => distribution[b] - distribution[a]);
+        if (!second || distribution[first] - distribution[second] >= settings.followUpMargin) {
+            return null;
+        }
+
+        const index = this.questions.findIndex((question, questionIndex) => {
+            if (!question.followUp || this.path.includes(questionIndex)) return false;
+            const stages = question.followUp.stages;
+            return (!stages || (stages.includes(first) && stages.includes(second))) &&
+                AssessmentManager.isQuestionEligible(question, answers, this.questions);
+        });
+        return index === -1 ? null : index;
+    }
+
+    shouldStopEarly() {
+        const settings = this.getAdaptiveSettings();
+        if (!settings) return false;
+
+        const answers = this.getActiveAnswers();
+        const answeredCount = answers.filter(answer => AssessmentManager.isAnswered(answer)).length;
+        if (answeredCount < settings.minQuestions) return false;
+
+        return this.calculateResults(answers).confidence >= settings.stopConfidence;
+    }
+
+    countRemainingQuestions() {
+        if (AssessmentManager.isAnswered(this.answers[this.currentQuestionIndex]) && this.getNextQuestionIndex() === null) {
+            return 0;
+        }
+
+        // Estimate with the core questions still applicable; follow-ups are only counted once asked
+        const answers = this.getActiveAnswers();
+        return this.questions.filter((question, index) =>
+            index > this.currentQuestionIndex && !question.followUp &&
+            AssessmentManager.isQuestionEligible(question, answers, this.questions)
+        ).length;
+    }
+
+    static isQuestionEligible(question, answers, questions) {
+        // Every condition must hold; an unanswered question matches no "answerIn" list
+        return (question.showIf || []).every(condition => {
+            const index = questions.findIndex(other => String(other.id) === String(condition.question));
+            const optionIds = index === -1 ? [] : AssessmentManager.getAnswerOptionIds(questions[index], answers[index]);
+
+            if (condition.answerIn) {
+                return optionIds.some(optionId => condition.answerIn.includes(optionId));
+            }
+            if (condition.answerNotIn) {
+                return !optionIds.some(optionId => condition.answerNotIn.includes(optionId));
+            }
+            return true;
+        });
+    }
+
+    static getQuestionType(question) {
+        return question?.type || 'single';
+    }
+
+    static isAnswered(answer) {
+        return answer !== undefined && answer !== null && !(Array.isArray(answer) && answer.length === 0);
+    }
+
+    static getAnswerScore(question, answer) {
+        if (!question || !AssessmentManager.isAnswered(answer)) return null;
+
+        const type = AssessmentManager.getQuestionType(question);
+        if (type === 'single' || type === 'scale') {
+            return question.options[answer]?.score || null;
+        }
+
+        // Multi averages the chosen options and rank weights them n, n-1, ... 1, so every
+        // question carries the same total weight however it is answered
+        const choices = answer.map(optionIndex => question.options[optionIndex]).filter(Boolean);
+        if (choices.length === 0) return null;
+
+        const weights = type === 'rank'
+            ? choices.map((option, position) => choices.length - position)
+            : choices.map(() => 1);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        const score = {};
+        choices.forEach((option, position) => {
+            Object.keys(option.score || {}).forEach(stage => {
+                score[stage] = (score[stage] || 0) + (option.score[stage] * weights[position]) / totalWeight;
+            });
+        });
+        Object.keys(score).forEach(stage => {
+            score[stage] = Math.round(score[stage] * 100) / 100;
+        });
+        return score;
+    }
+
+    static getAnswerOptionIds(question, answer) {
+        // What conditions match against; a ranking is represented by its first choice
+        if (!question || !AssessmentManager.isAnswered(answer)) return [];
+
+        const type = AssessmentManager.getQuestionType(question);
+        const indexes = type === 'multi' ? answer : type === 'rank' ? answer.slice(0, 1) : [answer];
+        return indexes.map(optionIndex => question.options[optionIndex]?.id).filter(id => id !== undefined);
+    }
+
+    static describeAnswer(question, answer, i18n) {
+        if (!question || !AssessmentManager.isAnswered(answer)) return '';
+
+        const type = AssessmentManager.getQuestionType(question);
+        if (type === 'multi') {
+            return i18n.formatList(answer.map(optionIndex => question.options[optionIndex]?.text));
+        }
+        if (type === 'rank') {
+            return i18n.formatList(answer.map((optionIndex, position) => i18n.t('assessment.answer.rankItem', '{position}. {option}', {
+                position: position + 1,
+                option: question.options[optionIndex]?.text
+            })), 'unit');
+        }
+        if (type === 'scale') {
+            const label = question.options[answer]?.text;
+            const params = { value: answer + 1, max: question.options.length, label };
+            return label
+                ? i18n.t('assessment.answer.scaleLabelled', '{value} / {max} ({label})', params)
+                : i18n.t('assessment.answer.scale', '{value} / {max}', params);
+        }
+        return question.options[answer]?.text || '';
+    }
+
+    static pruneAnswers(answers, questions) {
+        // Drop answers to questions whose conditions no longer hold, repeating as removals cascade
+        const pruned = [...answers];
+        let changed = true;
+        while (changed) {
+            changed = false;
+            questions.forEach((question, index) => {
+                if (AssessmentManager.isAnswered(pruned[index]) &&
+                    !AssessmentManager.isQuestionEligible(question, pruned, questions)) {
+                    pruned[index] = undefined;
+                    changed = true;
+                }
+            });
+        }
+        return pruned;
+    }
+
+    calculateResults(answers = this.answers, definition = this.questionBank.definition,
+        strategy = AssessmentManager.getScoringStrategy(definition)) {
+        // Scores come from the bank definition, so shared answers can be scored against any bank version
+        const questions = definition?.questions || [];
+        const stageIds = (definition?.stages || []).map(stage => stage.id);
+
+        const entries = [];
+        answers.forEach((answer, questionIndex) => {
+            const question = questions[questionIndex];
+            const score = AssessmentManager.getAnswerScore(question, answer);
+            
+            if (score) {
+                entries.push({ score, weight: question.weight ?? 1 });
+            }
+        });
+
+        const { scores: stageScores, stage } = SCORING_STRATEGIES[strategy](entries, stageIds);
+
+        // Round away floating point noise from averaged multi-select and ranking scores
+        Object.keys(stageScores).forEach(id => {
+            stageScores[id] = Math.round(stageScores[id] * 100) / 100;
+        });
+
+        return {
+            ...AssessmentManager.summarizeScores(stageScores, stage),
+            scoring: strategy,
+            skills: this.calculateSkills(answers, questions, stageIds),
+            answers: answers.map(answer => Array.isArray(answer) ? [...answer] : answer),
+            bank: { id: definition?.id, version: definition?.version }
+        };
+    }
+
+    static getScoringStrategy(definition) {
+        const strategy = definition?.scoring || DEFAULT_SCORING_STRATEGY;
+        if (!SCORING_STRATEGIES[strategy]) {
+            console.warn(`Unknown scoring strategy "${strategy}", using "${DEFAULT_SCORING_STRATEGY}"`);
+            return DEFAULT_SCORING_STRATEGY;
+        }
+        return strategy;
+    }
+
+    compareStrategies(answerSets, definition = this.questionBank.definition) {
+        // Scores every answer set with every strategy, to see how much the choice of strategy moves results.
+        // A set is an answers array, or { answers, definition } when it was answered against another bank version.
+        const strategies = Object.keys(SCORING_STRATEGIES);
+        const summary = {};
+        strategies.forEach(strategy => {
+            summary[strategy] = { counts: {}, changed: 0 };
+        });
+
+        const rows = answerSets.map(answerSet => {
+            const { answers, definition: setDefinition = definition } = Array.isArray(answerSet)
+                ? { answers: answerSet }
+                : answerSet;
+            const current = AssessmentManager.getScoringStrategy(setDefinition);
+
+            const stages = {};
+            strategies.forEach(strategy => {
+                stages[strategy] = this.calculateResults(answers, setDefinition, strategy).stage;
+            });
+            strategies.forEach(strategy => {
+                const { counts } = summary[strategy];
+                counts[stages[strategy]] = (counts[stages[strategy]] || 0) + 1;
+                // "changed" counts answer sets that would land on another stage than with the bank's own strategy
+                if (stages[strategy] !== stages[current]) {
+                    summary[strategy].changed++;
+                }
+            });
+            return stages;
+        });
+
+        return { current: AssessmentManager.getScoringStrategy(definition), strategies: summary, rows };
+    }
+
+    async resultsFromShareCode(code, bankId) {
+        const header = ShareCodec.readHeader(code);
+        const definition = await this.questionBank.loadDefinition(bankId, header.bankVersion);
+        const answers = ShareCodec.decodeAnswers(header, definition);
+        return this.calculateResults(answers, definition);
+    }
+
+    static summarizeScores(stageScores, median = null) {
+        const stages = Object.keys(stageScores);
+        const total = stages.reduce((sum, stage) => sum + stageScores[stage], 0);
+
+        const distribution = {};
+        stages.forEach(stage => {
+            distribution[stage] = total > 0 ? Math.round((stageScores[stage] / total) * 1000) / 1000 : 0;
+        });
+
+        // A median winner is judged by how many votes would move it, not by its lead in votes
+        const { topStage, confidence, transition } = median
+            ? AssessmentManager.summarizeMedian(stages, distribution, median)
+            : AssessmentManager.summarizeLead(stages, stageScores, distribution);
+
+        return {
+            stage: topStage,
+            scores: stageScores,
+            distribution,
+            confidence,
+            transition,
+            percentage: Math.round(distribution[topStage] * 100)
+        };
+    }
+
+    static summarizeLead(stages, stageScores, distribution) {
+        // Rank by score; ties keep stage order so the earlier stage wins explicitly
+        const ranked = [...stages].sort((a, b) =>
+            stageScores[b] - stageScores[a] || stages.indexOf(a) - stages.indexOf(b)
+        );
+        const [topStage, runnerUp] = ranked;
+
+        // Confidence is how far the top stage leads the runner-up, relative to its own score
+        const confidence = stageScores[topStage] > 0 && runnerUp
+            ? Math.round(((stageScores[topStage] - stageScores[runnerUp]) / stageScores[topStage]) * 100) / 100
+            : 0;
+
+        let transition = null;
+        if (runnerUp && distribution[topStage] - distribution[runnerUp] < TRANSITION_MARGIN &&
+            Math.abs(stages.indexOf(topStage) - stages.indexOf(runnerUp)) === 1) {
+            const [from, to] = [topStage, runnerUp].sort((a, b) => stages.indexOf(a) - stages.indexOf(b));
+            transition = { from, to };
+        }
+
+        return { topStage, confidence, transition };
+    }
+
+    static summarizeMedian(stages, distribution, median) {
+        // The median moves down once the votes below it reach half, and up once the votes up to
+        // and including it drop below half; each margin is the share of votes that would have to move
+        const index = stages.indexOf(median);
+        const below = stages.slice(0, index).reduce((sum, stage) => sum + distribution[stage], 0);
+        const margins = {
+            down: 0.5 - below,
+            up: below + distribution[median] - 0.5
+        };
+
+        // Confidence is the smaller margin, scaled so that every vote on one stage is 1
+        const confidence = Math.max(0, Math.round(Math.min(margins.down, margins.up) * 2 * 100) / 100);
+
+        // It would move to the nearest stage with votes on the closer side
+        const side = margins.down < margins.up ? 'down' : 'up';
+        const candidates = side === 'down' ? stages.slice(0, index).reverse() : stages.slice(index + 1);
+        const neighbour = candidates.find(stage => distribution[stage] > 0);
+
+        let transition = null;
+        if (neighbour && margins[side] < TRANSITION_MARGIN &&
+            Math.abs(stages.indexOf(neighbour) - index) === 1) {
+            transition = side === 'down' ? { from: neighbour, to: median } : { from: median, to: neighbour };
+        }
+
+        return { topStage: median, confidence, transition };
+    }
+
+    calculateSkills(answers = this.answers, questions = this.questions, stages = this.questionBank.getStageIds()) {
+        const totals = {};
+        const counts = {};
+
+        answers.forEach((answer, questionIndex) => {
+            const question = questions[questionIndex];
+            const score = AssessmentManager.getAnswerScore(question, answer);
+
+            if (score && question.skills) {
+                const level = this.getOptionSkillLevel(score, stages);
+                const weight = question.weight ?? 1;
+                question.skills.forEach(skill => {
+                    totals[skill] = (totals[skill] || 0) + level * weight;
+                    counts[skill] = (counts[skill] || 0) + weight;
+                });
+            }
+        });
+
+        // Weighted average of every dimension over the questions that measure it (0 if none were answered)
+        return SKILL_DIMENSIONS.reduce((skills, skill) => {
+            skills[skill] = counts[skill] ? Math.round((totals[skill] / counts[skill]) * 10) / 10 : 0;
+            return skills;
+        }, {});
+    }
+
+    getOptionSkillLevel(score, stages = Object.keys(score)) {
+        // Weighted average position of the option on the stage ladder, mapped onto the radar's 1-5 scale
+        const total = stages.reduce((sum, stage) => sum + (score[stage] || 0), 0);
+        if (total === 0 || stages.length < 2) return 1;
+
+        const averagePosition = stages.reduce((sum, stage, index) =>
+            sum + index * (score[stage] || 0), 0) / total;
+        return 1 + (averagePosition / (stages.length - 1)) * 4;
+    }
+
+    reset() {
+        this.answers = [];
+        this.clearProgress();
+        this.loadQuestions();
+        // Start at the first question whose conditions hold without any answers
+        const firstIndex = this.questions.findIndex(question =>
+            !question.followUp && AssessmentManager.isQuestionEligible(question, [], this.questions)
+        );
+        this.currentQuestionIndex = Math.max(firstIndex, 0);
+        this.path = [this.currentQuestionIndex];
+    }
+}
+
+// Share Codes
+// Layout: format version (1 byte), bank version (2 bytes), bank checksum (2 bytes),
+// answer count (1 byte), then the answers bit-packed in question order. Each question takes
+// the fewest bits its type needs (see answerBits); all zero bits mark an unanswered question.
+// Format 1 packed every answer as (option index + 1) at the width of the largest question.
+class ShareCodec {
+    static encode(answers, definition) {
+        const questions = definition.questions || [];
+        const writer = ShareCodec.createBitWriter();
+
+        answers.forEach((answer, index) => {
+            const question = questions[index];
+            const bits = ShareCodec.answerBits(question);
+            const type = AssessmentManager.getQuestionType(question);
+
+            if (!AssessmentManager.isAnswered(answer)) {
+                writer.write(0, bits);
+            } else if (type === 'multi') {
+                // One bit per option
+                question.options.forEach((option, optionIndex) => writer.write(answer.includes(optionIndex) ? 1 : 0, 1));
+            } else if (type === 'rank') {
+                // Presence bit, then each option index in ranked order
+                const indexBits = ShareCodec.bitsFor(question.options.length - 1);
+                writer.write(1, 1);
+                answer.forEach(optionIndex => writer.write(optionIndex, indexBits));
+            } else {
+                writer.write(answer + 1, bits);
+            }
+        });
+
+        const packed = writer.toBytes();
+        const bytes = new Uint8Array(SHARE_CODE_HEADER_SIZE + packed.length);
+        bytes[0] = SHARE_CODE_FORMAT_VERSION;
+        bytes[1] = (definition.version >> 8) & 0xff;
+        bytes[2] = definition.version & 0xff;
+        const checksum = ShareCodec.checksum(definition);
+        bytes[3] = (checksum >> 8) & 0xff;
+        bytes[4] = checksum & 0xff;
+        bytes[5] = answers.length;
+        bytes.set(packed, SHARE_CODE_HEADER_SIZE);
+
+        return ShareCodec.toBase64Url(bytes);
+    }
+
+    static readHeader(code) {
+        const bytes = ShareCodec.fromBase64Url(code);
+        if (bytes.length < SHARE_CODE_HEADER_SIZE) {
+            throw new Error('Share code is too short');
+        }
+        if (bytes[0] < 1 || bytes[0] > SHARE_CODE_FORMAT_VERSION) {
+            throw new Error(`Unsupported share code format ${bytes[0]}`);
+        }
+
+        return {
+            format: bytes[0],
+            bankVersion: (bytes[1] << 8) | bytes[2],
+            checksum: (bytes[3] << 8) | bytes[4],
+            answerCount: bytes[5],
+            bytes
+        };
+    }
+
+    static decodeAnswers(header, definition) {
+        if (ShareCodec.checksum(definition) !== header.checksum) {
+            throw new Error(`Share code does not match version ${header.bankVersion} of question bank "${definition.id}"`);
+        }
+
+        const questions = definition.questions || [];
+        if (header.answerCount > questions.length) {
+            throw new Error('Share code has more answers than the question bank');
+        }
+
+        const reader = ShareCodec.createBitReader(header.bytes, SHARE_CODE_HEADER_SIZE);
+        const legacyBits = Math.ceil(Math.log2(Math.max(1, ...questions.map(question => question.options.length)) + 1));
+        const answers = [];
+
+        for (let index = 0; index < header.answerCount; index++) {
+            const question = questions[index];
+            const type = AssessmentManager.getQuestionType(question);
+            const outOfRange = () => new Error(`Share code answer ${index + 1} is out of range`);
+
+            if (header.format === 1 || type === 'single' || type === 'scale') {
+                const value = reader.read(header.format === 1 ? legacyBits : ShareCodec.answerBits(question));
+                if (value > question.options.length) throw outOfRange();
+                answers[index] = value === 0 ? undefined : value - 1;
+            } else if (type === 'multi') {
+                const choices = question.options.map((option, optionIndex) => reader.read(1) ? optionIndex : null)
+                    .filter(optionIndex => optionIndex !== null);
+                answers[index] = choices.length > 0 ? choices : undefined;
+            } else {
+                const indexBits = ShareCodec.bitsFor(question.options.length - 1);
+                const present = reader.read(1);
+                const order = question.options.map(() => reader.read(indexBits));
+                if (present) {
+                    // A ranking must list every option exactly once
+                    if (new Set(order).size !== order.length || order.some(optionIndex => optionIndex >= order.length)) {
+                        throw outOfRange();
+                    }
+                    answers[index] = order;
+                }
+            }
+        }
+
+        if (reader.overrun) {
+            throw new Error('Share code is truncated');
+        }
+
+        return answers;
+    }
+
+    static answerBits(question) {
+        const type = AssessmentManager.getQuestionType(question);
+        const optionCount = question?.options?.length || 0;
+        if (type === 'multi') return optionCount;
+        if (type === 'rank') return 1 + optionCount * ShareCodec.bitsFor(optionCount - 1);
+        return ShareCodec.bitsFor(optionCount);
+    }
+
+    static bitsFor(maxValue) {
+        return Math.max(1, Math.ceil(Math.log2(maxValue + 1)));
+    }
+
+    static createBitWriter() {
+        const bits = [];
+        return {
+            write(value, width) {
+                for (let bit = width - 1; bit >= 0; bit--) {
+                    bits.push((value >> bit) & 1);
+                }
+            },
+            toBytes() {
+                const bytes = new Uint8Array(Math.ceil(bits.length / 8));
+                bits.forEach((bit, position) => {
+                    if (bit) bytes[position >> 3] |= 0x80 >> (position & 7);
+                });
+                return bytes;
+            }
+        };
+    }
+
+    static createBitReader(bytes, offset) {
+        let position = 0;
+        const reader = {
+            overrun: false,
+            read(width) {
+                let value = 0;
+                for (let bit = 0; bit < width; bit++, position++) {
+                    const byteIndex = offset + (position >> 3);
+                    if (byteIndex >= bytes.length) reader.overrun = true;
+                    value = (value << 1) | ((bytes[byteIndex] || 0) & (0x80 >> (position & 7)) ? 1 : 0);
+                }
+                return value;
+            }
+        };
+        return reader;
+    }
+
+    static checksum(definition) {
+        // FNV-1a over everything that affects scoring, folded to 16 bits
+        const stageIds = (definition.stages || []).map(stage => stage.id);
+        // Type, weight and strategy are only included when set, so banks without them keep their existing checksums
+        const strategy = definition.scoring && definition.scoring !== DEFAULT_SCORING_STRATEGY ? `{${definition.scoring}}` : '';
+        const canonical = strategy + (definition.questions || []).map(question =>
+            `${question.id}${question.type && question.type !== 'single' ? `<${question.type}>` : ''}` +
+            `${question.weight !== undefined && question.weight !== 1 ? `*${question.weight}` : ''}` +
+            `[${(question.skills || []).join(',')}]:` +
+            question.options.map(option =>
+                `${option.id}=${stageIds.map(stage => option.score?.[stage] ?? 0).join(',')}`
+            ).join('|')
+        ).join(';');
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < canonical.length; i++) {
+            hash ^= canonical.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return ((hash >>> 16) ^ (hash & 0xffff)) & 0xffff;
+    }
+
+    static toBase64Url(bytes) {
+        return btoa(String.fromCharCode(...bytes))
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
+
+    static fromBase64Url(code) {
+        const base64 = code.replace(/-/g, '+').replace(/_/g, '/');
+        const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+        return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+    }
+}
+
+// Motion Settings
+// Reduced motion follows prefers-reduced-motion until the user picks a setting in the UI
+class MotionManager {
+    constructor() {
+        this.settings = this.loadSettings();
+        this.listeners = [];
+        this.mediaQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+        // Follow system changes while the user has not chosen for themselves
+        this.mediaQuery?.addEventListener?.('change', () => {
+            if (this.settings.reduced === undefined) {
+                this.notify();
+            }
+        });
+    }
+
+    loadSettings() {
+        try {
+            const stored = localStorage.getItem(MOTION_STORAGE_KEY);
+            return stored ? JSON.parse(stored) : {};
+        } catch (error) {
+            console.warn('Failed to read motion settings:', error);
+            return {};
+        }
+    }
+
+    saveSettings() {
+        try {
+            localStorage.setItem(MOTION_STORAGE_KEY, JSON.stringify(this.settings));
+        } catch (error) {
+            console.warn('Failed to save motion settings:', error);
+        }
+    }
+
+    isReduced() {
+        return this.settings.reduced ?? Boolean(this.mediaQuery?.matches);
+    }
+
+    isAutoAdvance() {
+        return this.settings.autoAdvance ?? true;
+    }
+
+    setReduced(reduced) {
+        this.settings.reduced = reduced;
+        this.saveSettings();
+        this.notify();
+    }
+
+    setAutoAdvance(autoAdvance) {
+        this.settings.autoAdvance = autoAdvance;
+        this.saveSettings();
+        this.notify();
+    }
+
+    getScrollBehavior() {
+        return this.isReduced() ? 'auto' : 'smooth';
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener(this));
+    }
+}
+
+// Visualization Manager
+class VisualizationManager {
+    constructor(motion = new MotionManager()) {
+        this.motion = motion;
+        this.charts = {};
+        this.animations = {};
+        // Stage id -> RGB triplet, from the question bank's stage definitions
+        this.stageColors = {};
+    }
+
+    setStages(stages) {
+        this.stageColors = {};
+        stages.forEach(stage => {
+            this.stageColors[stage.id] = VisualizationManager.hexToRgb(stage.color);
+        });
+    }
+
+    static hexToRgb(hex) {
+        const value = parseInt(hex.replace('#', ''), 16);
+        return `${(value >> 16) & 255}, ${(value >> 8) & 255}, ${value & 255}`;
+    }
+
+    getChartAnimation(options = {}) {
+        // Chart.js takes false to draw the final frame straight away
+        return this.motion.isReduced() ? false : options;
+    }
+
+    initParticles(containerId, config = {}) {
+        // Particles are the heaviest effect, so they are the first thing reduced motion drops
+        if (this.motion.isReduced()) return;
+
+        const container = document.getElementById(containerId);
+        if (!container) {
+            console.warn(`Particles container ${containerId} not found`);
+            return;
+        }
+        
+        if (!window.particlesJS) {
+            console.warn('Particles.js library not loaded');
+            return;
+        }
+
+        // Ensure container has proper styling
+        if (container.style.position !== 'absolute') {
+            container.style.position = 'absolute';
+            container.style.top = '0';
+            container.style.left = '0';
+            container.style.width = '100%';
+            container.style.height = '100%';
+            container.style.zIndex = '1';
+        }
 
         const defaultConfig = {
             particles: {
@@ -466,9 +1936,14 @@ class VisualizationManager {
         }
     }
 
-    createSkillsChart(canvasId, stage, scores) {
+    createSkillsChart(canvasId, stage, skillData, comparisonData = null) {
         const canvas = document.getElementById(canvasId);
-        if (!canvas || !window.Chart) return;
+        if (!canvas) return;
+
+        if (!window.Chart) {
+            this.createFallbackSkillDisplay(canvasId, skillData);
+            return;
+        }
 
         const container = canvas.parentElement;
         if (!container) return;
@@ -485,7 +1960,7 @@ class VisualizationManager {
 
             // Wait a bit more to ensure container is fully settled
             setTimeout(() => {
-                this.doCreateSkillsChart(canvasId, stage, scores, canvas, container);
+                this.doCreateSkillsChart(canvasId, stage, skillData, comparisonData, canvas, container);
             }, 50);
         };
 
@@ -495,7 +1970,7 @@ class VisualizationManager {
         });
     }
 
-    doCreateSkillsChart(canvasId, stage, scores, canvas, container) {
+    doCreateSkillsChart(canvasId, stage, skillData, comparisonData, canvas, container) {
 
         // Validate canvas dimensions to prevent max size error
         const containerWidth = container.offsetWidth;
@@ -530,8 +2005,6 @@ class VisualizationManager {
             delete this.charts[canvasId];
         }
 
-        const stageData = this.getStageSkillData(stage);
-        
         try {
             const ctx = canvas.getContext('2d');
             if (!ctx) {
@@ -539,30 +2012,47 @@ class VisualizationManager {
                 return;
             }
             
+            const rtl = this.isRtl();
+            const mirror = list => this.mirrorRadarAxes(list, rtl);
+            
             this.charts[canvasId] = new Chart(ctx, {
                 type: 'radar',
                 data: {
-                    labels: stageData.labels,
+                    labels: mirror(skillData.labels),
                     datasets: [{
-                        label: 'Your Skills',
-                        data: stageData.values,
+                        label: skillData.label,
+                        data: mirror(skillData.values),
                         borderColor: this.getStageColor(stage),
                         backgroundColor: this.getStageColor(stage, 0.2),
                         pointBackgroundColor: this.getStageColor(stage),
                         pointBorderColor: '#fff',
                         pointHoverBackgroundColor: '#fff',
                         pointHoverBorderColor: this.getStageColor(stage)
-                    }]
+                    }, ...(comparisonData ? [{
+                        label: comparisonData.label,
+                        data: mirror(comparisonData.values),
+                        borderColor: 'rgba(255, 255, 255, 0.6)',
+                        backgroundColor: 'rgba(255, 255, 255, 0.05)',
+                        borderDash: [6, 4],
+                        pointBackgroundColor: 'rgba(255, 255, 255, 0.6)',
+                        pointRadius: 2
+                    }] : [])]
                 },
                 options: {
                     responsive: true,
                     maintainAspectRatio: true,
                     aspectRatio: 1,
-                    animation: {
+                    animation: this.getChartAnimation({
                         duration: 1000
-                    },
+                    }),
                     plugins: {
-                        legend: { display: false }
+                        legend: {
+                            display: !!comparisonData,
+                            position: 'bottom',
+                            rtl: rtl,
+                            labels: { color: 'rgba(255, 255, 255, 0.8)', boxWidth: 12 }
+                        },
+                        tooltip: { rtl: rtl }
                     },
                     scales: {
                         r: {
@@ -599,31 +2089,180 @@ class VisualizationManager {
         } catch (error) {
             console.error('Failed to create skills chart:', error);
             // Fallback: show text-based skill display
-            this.createFallbackSkillDisplay(canvasId, stageData);
+            this.createFallbackSkillDisplay(canvasId, skillData);
+        }
+    }
+
+    createHistoryChart(canvasId, history, stageLabels, format) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || !window.Chart || history.length === 0) return false;
+
+        if (this.charts[canvasId]) {
+            this.charts[canvasId].destroy();
+            delete this.charts[canvasId];
+        }
+
+        const stages = Object.keys(history[history.length - 1].distribution || {});
+        const rtl = this.isRtl();
+
+        try {
+            this.charts[canvasId] = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: history.map(entry => format.date(entry.timestamp)),
+                    datasets: stages.map(stage => ({
+                        label: stageLabels[stage] || stage,
+                        data: history.map(entry => Math.round((entry.distribution?.[stage] || 0) * 100)),
+                        borderColor: this.getStageColor(stage),
+                        backgroundColor: this.getStageColor(stage, 0.2),
+                        tension: 0.3,
+                        pointRadius: 3
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: true,
+                    animation: this.getChartAnimation(),
+                    plugins: {
+                        legend: {
+                            position: 'bottom',
+                            rtl: rtl,
+                            labels: { color: 'rgba(255, 255, 255, 0.8)', boxWidth: 12 }
+                        },
+                        tooltip: { rtl: rtl }
+                    },
+                    scales: {
+                        x: {
+                            // Time runs in reading direction
+                            reverse: rtl,
+                            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                            ticks: { color: 'rgba(255, 255, 255, 0.6)' }
+                        },
+                        y: {
+                            position: rtl ? 'right' : 'left',
+                            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                            ticks: {
+                                color: 'rgba(255, 255, 255, 0.6)',
+                                callback: value => format.percent(value / 100)
+                            },
+                            suggestedMin: 0,
+                            suggestedMax: 60
+                        }
+                    }
+                }
+            });
+            return true;
+        } catch (error) {
+            console.error('Failed to create history chart:', error);
+            return false;
+        }
+    }
+
+    createTeamSkillsChart(canvasId, members) {
+        const canvas = document.getElementById(canvasId);
+        if (!canvas || members.length === 0) return;
+
+        if (!window.Chart) {
+            // Without Chart.js the team is summarised by its average skills
+            const { labels } = members[0].skillData;
+            const values = labels.map((label, skillIndex) => Math.round(
+                members.reduce((sum, member) => sum + (member.skillData.values[skillIndex] || 0), 0) / members.length * 10
+            ) / 10);
+            this.createFallbackSkillDisplay(canvasId, { labels, values });
+            return;
+        }
+
+        if (this.charts[canvasId]) {
+            this.charts[canvasId].destroy();
+            delete this.charts[canvasId];
+        }
+
+        const rtl = this.isRtl();
+
+        try {
+            this.charts[canvasId] = new Chart(canvas.getContext('2d'), {
+                type: 'radar',
+                data: {
+                    labels: this.mirrorRadarAxes(members[0].skillData.labels, rtl),
+                    datasets: members.map(member => ({
+                        label: member.name,
+                        data: this.mirrorRadarAxes(member.skillData.values, rtl),
+                        borderColor: this.getStageColor(member.stage),
+                        backgroundColor: this.getStageColor(member.stage, 0.08),
+                        pointBackgroundColor: this.getStageColor(member.stage),
+                        pointRadius: 2
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: true,
+                    aspectRatio: 1,
+                    animation: this.getChartAnimation(),
+                    plugins: {
+                        legend: {
+                            display: true,
+                            position: 'bottom',
+                            rtl: rtl,
+                            labels: { color: 'rgba(255, 255, 255, 0.8)', boxWidth: 12 }
+                        },
+                        tooltip: { rtl: rtl }
+                    },
+                    scales: {
+                        r: {
+                            angleLines: { color: 'rgba(255, 255, 255, 0.1)' },
+                            grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                            pointLabels: {
+                                color: 'rgba(255, 255, 255, 0.8)',
+                                font: { size: 12 }
+                            },
+                            ticks: {
+                                color: 'rgba(255, 255, 255, 0.6)',
+                                backdropColor: 'transparent',
+                                stepSize: 1
+                            },
+                            suggestedMin: 0,
+                            suggestedMax: 5
+                        }
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Failed to create team skills chart:', error);
         }
     }
 
-    createFallbackSkillDisplay(canvasId, stageData) {
+    isRtl() {
+        return document.documentElement.dir === 'rtl';
+    }
+
+    mirrorRadarAxes(list, rtl) {
+        // Keep the first axis on top and run the rest counter-clockwise for right-to-left readers
+        if (!rtl || !Array.isArray(list) || list.length < 3) return list;
+        return [list[0], ...list.slice(1).reverse()];
+    }
+
+    createFallbackSkillDisplay(canvasId, skillData) {
         const canvas = document.getElementById(canvasId);
         if (!canvas) return;
         
         const container = canvas.parentElement;
         if (!container) return;
         
-        // Hide the canvas and create a fallback display
+        // Hide the canvas and create a fallback display, replacing one from an earlier render
         canvas.style.display = 'none';
+        container.querySelector('.skills-fallback')?.remove();
         
         const fallbackDiv = document.createElement('div');
         fallbackDiv.className = 'skills-fallback';
         fallbackDiv.innerHTML = `
             <div class="skills-list">
-                ${stageData.labels.map((label, index) => `
+                ${skillData.labels.map((label, index) => `
                     <div class="skill-item">
                         <span class="skill-label">${label}</span>
                         <div class="skill-bar">
-                            <div class="skill-progress" style="width: ${(stageData.values[index] / 5) * 100}%"></div>
+                            <div class="skill-progress" style="width: ${(skillData.values[index] / 5) * 100}%"></div>
                         </div>
-                        <span class="skill-value">${stageData.values[index]}/5</span>
+                        <span class="skill-value">${skillData.values[index]}/5</span>
                     </div>
                 `).join('')}
             </div>
@@ -632,41 +2271,145 @@ class VisualizationManager {
         container.appendChild(fallbackDiv);
     }
 
-    getStageSkillData(stage) {
-        const skillMappings = {
-            stage1: {
-                labels: ['AI Familiarity', 'Tool Usage', 'Error Tolerance', 'Experimentation', 'Team Sharing'],
-                values: [2, 2, 1, 2, 1]
-            },
-            stage2: {
-                labels: ['AI Familiarity', 'Tool Usage', 'Error Tolerance', 'Experimentation', 'Team Sharing'],
-                values: [3, 3, 2, 3, 2]
-            },
-            stage3: {
-                labels: ['AI Familiarity', 'Tool Usage', 'Error Tolerance', 'Experimentation', 'Team Sharing'],
-                values: [4, 4, 4, 4, 4]
-            },
-            stage4: {
-                labels: ['AI Familiarity', 'Tool Usage', 'Error Tolerance', 'Experimentation', 'Team Sharing'],
-                values: [5, 5, 5, 5, 5]
-            }
-        };
-        return skillMappings[stage] || skillMappings.stage1;
+    getStageColor(stage, alpha = 1) {
+        const rgb = this.stageColors[stage] || VisualizationManager.hexToRgb(DEFAULT_STAGE_COLORS[0]);
+        return `rgba(${rgb}, ${alpha})`;
     }
 
-    getStageColor(stage, alpha = 1) {
-        const colors = {
-            stage1: `rgba(239, 68, 68, ${alpha})`,
-            stage2: `rgba(245, 158, 11, ${alpha})`,
-            stage3: `rgba(16, 185, 129, ${alpha})`,
-            stage4: `rgba(139, 92, 246, ${alpha})`
-        };
-        return colors[stage] || colors.stage1;
+    async createResultsCard({ stage, badge, title, summary, footer, chartCanvasId }) {
+        const width = 1200;
+        const height = 630;
+        const padding = 64;
+        const rtl = this.isRtl();
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        // Use the page's font stack so Chinese text gets Noto Sans TC instead of a system fallback
+        const fontFamily = getComputedStyle(document.documentElement).fontFamily || 'sans-serif';
+        if (document.fonts?.load) {
+            const sample = `${badge}${title}${summary}${footer}`;
+            await Promise.all([
+                document.fonts.load(`700 56px ${fontFamily}`, sample),
+                document.fonts.load(`400 26px ${fontFamily}`, sample)
+            ]).catch(error => console.warn('Card fonts failed to load:', error));
+        }
+
+        // Background matches the results section
+        const background = ctx.createLinearGradient(0, 0, width, height);
+        background.addColorStop(0, '#111827');
+        background.addColorStop(1, '#1F2937');
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = this.getStageColor(stage);
+        ctx.fillRect(0, 0, width, 8);
+
+        // Radar chart on the trailing side, text on the leading side
+        const chartSize = 460;
+        const chartCanvas = this.charts[chartCanvasId]?.canvas;
+        const chartX = rtl ? padding : width - padding - chartSize;
+        if (chartCanvas) {
+            ctx.drawImage(chartCanvas, chartX, (height - chartSize) / 2, chartSize, chartSize);
+        }
+
+        const textWidth = width - chartSize - padding * 3;
+        const textX = rtl ? width - padding : padding;
+        ctx.direction = rtl ? 'rtl' : 'ltr';
+        ctx.textAlign = 'start';
+        ctx.textBaseline = 'top';
+
+        // Stage badge
+        ctx.font = `600 24px ${fontFamily}`;
+        const badgeWidth = ctx.measureText(badge).width + 40;
+        ctx.fillStyle = this.getStageColor(stage);
+        this.fillRoundedRect(ctx, rtl ? textX - badgeWidth : textX, padding + 16, badgeWidth, 48, 24);
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillText(badge, rtl ? textX - 20 : textX + 20, padding + 28);
+
+        let y = padding + 100;
+        ctx.font = `700 56px ${fontFamily}`;
+        this.wrapCardText(ctx, title, textWidth, 2).forEach(line => {
+            ctx.fillText(line, textX, y);
+            y += 68;
+        });
+
+        y += 16;
+        ctx.font = `400 26px ${fontFamily}`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        this.wrapCardText(ctx, summary, textWidth, 6).forEach(line => {
+            ctx.fillText(line, textX, y);
+            y += 38;
+        });
+
+        ctx.font = `500 22px ${fontFamily}`;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.textBaseline = 'bottom';
+        this.wrapCardText(ctx, footer, textWidth, 1).forEach(line => {
+            ctx.fillText(line, textX, height - padding);
+        });
+
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+
+    getChartImage(canvasId) {
+        const chartCanvas = this.charts[canvasId]?.canvas;
+        if (!chartCanvas) return null;
+
+        // Charts are styled for the dark results section, so keep that background in exports
+        const canvas = document.createElement('canvas');
+        canvas.width = chartCanvas.width;
+        canvas.height = chartCanvas.height;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#1F2937';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(chartCanvas, 0, 0);
+        return canvas.toDataURL('image/png');
+    }
+
+    fillRoundedRect(ctx, x, y, width, height, radius) {
+        ctx.beginPath();
+        ctx.moveTo(x + radius, y);
+        ctx.arcTo(x + width, y, x + width, y + height, radius);
+        ctx.arcTo(x + width, y + height, x, y + height, radius);
+        ctx.arcTo(x, y + height, x, y, radius);
+        ctx.arcTo(x, y, x + width, y, radius);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    wrapCardText(ctx, text, maxWidth, maxLines) {
+        // Break between words, or between characters for scripts written without spaces (CJK)
+        const tokens = (text || '').match(/[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]+|\s+/g) || [];
+        const lines = [];
+        let line = '';
+
+        tokens.forEach(token => {
+            const candidate = line + token;
+            if (line && ctx.measureText(candidate).width > maxWidth) {
+                lines.push(line.trim());
+                line = token.trim();
+            } else {
+                line = candidate;
+            }
+        });
+        if (line.trim()) lines.push(line.trim());
+
+        if (lines.length > maxLines) {
+            let last = lines[maxLines - 1];
+            while (last && ctx.measureText(`${last}…`).width > maxWidth) {
+                last = last.slice(0, -1);
+            }
+            lines.splice(maxLines - 1, lines.length, `${last.trim()}…`);
+        }
+        return lines;
     }
 
 
     animateStageTransition(fromStage, toStage) {
-        if (!window.gsap) return;
+        if (!window.gsap || this.motion.isReduced()) return;
 
         const tl = gsap.timeline();
         
@@ -696,51 +2439,335 @@ class VisualizationManager {
 
 // Results Manager
 class ResultsManager {
-    constructor(i18n, visualizationManager) {
+    constructor(i18n, visualizationManager, assessment, questionBank) {
         this.i18n = i18n;
         this.viz = visualizationManager;
+        this.assessment = assessment;
+        this.questionBank = questionBank;
+        this.compareWithPrevious = false;
+        this.openReviewQuestion = null;
     }
 
     displayResults(results) {
-        const { stage, scores, percentage } = results;
-        
-        // Update stage indicator
-        this.updateStageIndicator(stage);
-        
-        // Update stage description
-        this.updateStageDescription(stage);
-        
-        // Update insights
-        this.updateNextSteps(stage);
-        this.updateToolRecommendations(stage);
+        // Results shared before blended scoring only carry raw stage scores
+        if (!results.distribution && results.scores) {
+            results = { ...results, ...AssessmentManager.summarizeScores(results.scores) };
+        }
+
+        this.renderResultDetails(results);
         
         // Show results section first
         this.showResultsSection();
         
         // Create visualizations after section is visible
         setTimeout(() => {
-            this.viz.createSkillsChart('skills-chart', stage, scores);
+            this.renderSkillsChart(results);
+            this.updateHistory(results);
         }, 300); // Wait for section transition to complete
         
         // Store results for sharing/retaking
         this.storeResults(results);
     }
 
-    updateStageIndicator(stage) {
+    renderResultDetails(results) {
+        const { stage } = results;
+        
+        // Update stage indicator
+        this.updateStageIndicator(stage, results.transition);
+        
+        // Update stage blend
+        this.updateStageBlend(results);
+        
+        // Update stage description
+        this.updateStageDescription(stage);
+        
+        // Update insights
+        this.updateNextSteps(stage);
+        this.updateToolRecommendations(stage);
+
+        // Explain how each answer contributed
+        this.renderReview(results);
+    }
+
+    async renderReview(results) {
+        const review = document.getElementById('answer-review');
+        const list = document.getElementById('answer-review-list');
+        const { answers, bank } = results;
+
+        if (!review || !list || !answers || !bank?.id) {
+            if (review) review.style.display = 'none';
+            return;
+        }
+
+        let questions;
+        try {
+            const definition = await this.questionBank.loadDefinition(bank.id, bank.version);
+            questions = this.questionBank.getQuestions(this.i18n.currentLang, definition);
+        } catch (error) {
+            console.warn('Failed to load questions for the answer review:', error);
+            review.style.display = 'none';
+            return;
+        }
+
+        const stageLabel = stage => this.i18n.t(`stageLabels.${stage}`, stage);
+
+        // Skip questions that were never asked: unanswered follow-ups and those whose conditions fail
+        const isShown = (question, questionIndex) => AssessmentManager.isAnswered(answers[questionIndex]) ||
+            (!question.followUp && AssessmentManager.isQuestionEligible(question, answers, questions));
+
+        list.innerHTML = questions.map((question, questionIndex) => {
+            if (!isShown(question, questionIndex)) return '';
+            const score = AssessmentManager.getAnswerScore(question, answers[questionIndex]);
+            const pull = score ? this.getStrongestStage(score) : null;
+            const isPrimary = pull === results.stage;
+            const isOpen = questionIndex === this.openReviewQuestion;
+
+            return `
+                <li class="review-item${isPrimary ? ' review-item-primary' : ''}" data-question-index="${questionIndex}">
+                    <p class="review-question" id="review-question-${question.id}">${question.question}</p>
+                    <p class="review-answer">${AssessmentManager.describeAnswer(question, answers[questionIndex], this.i18n) || this.i18n.t('review.unanswered', 'Not answered')}</p>
+                    ${score ? `
+                        <div class="review-scores">
+                            ${Object.keys(score).filter(stage => score[stage] > 0).map(stage => `
+                                <span class="review-score${stage === pull ? ' review-score-pull' : ''}"
+                                      style="border-color: ${this.viz.getStageColor(stage)}; background: ${this.viz.getStageColor(stage, stage === pull ? 0.35 : 0.1)}">
+                                    ${stageLabel(stage)} +${score[stage]}
+                                </span>
+                            `).join('')}
+                        </div>
+                        <p class="review-pull">${this.i18n.t('review.pullsToward', 'Pulls toward {stage}', { stage: stageLabel(pull) })}</p>
+                    ` : ''}
+                    <button class="text-button review-change" aria-expanded="${isOpen}">${this.i18n.t('review.change', 'Change answer')}</button>
+                    <div class="review-options" ${isOpen ? '' : 'hidden'}></div>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.review-item').forEach(item => {
+            const questionIndex = parseInt(item.dataset.questionIndex);
+            const question = questions[questionIndex];
+            const changeBtn = item.querySelector('.review-change');
+            const options = item.querySelector('.review-options');
+
+            changeBtn.addEventListener('click', () => {
+                options.hidden = !options.hidden;
+                changeBtn.setAttribute('aria-expanded', String(!options.hidden));
+                this.openReviewQuestion = options.hidden ? null : questionIndex;
+            });
+
+            // Same controls as the assessment, so every question type can be edited here
+            this.assessment.renderAnswerControls(options, question, answers[questionIndex], answer => {
+                this.changeAnswer(results, questionIndex, answer);
+            }, `review-question-${question.id}`);
+        });
+
+        review.style.display = 'block';
+    }
+
+    getStrongestStage(score) {
+        // Ties go to the earlier stage, matching how results are ranked
+        return Object.keys(score).reduce((best, stage) => score[stage] > score[best] ? stage : best);
+    }
+
+    async changeAnswer(results, questionIndex, answer) {
+        // Re-rendering replaces the controls, so note which one had focus
+        const focused = document.activeElement;
+        const focusedOption = focused?.closest?.('.review-options') ? focused.dataset.optionIndex : undefined;
+
+        const definition = await this.questionBank.loadDefinition(results.bank.id, results.bank.version);
+        const answers = [...results.answers];
+        answers[questionIndex] = answer ?? null;
+        AssessmentManager.pruneAnswers(answers, definition.questions).forEach((answer, index) => {
+            answers[index] = answer ?? null;
+        });
+
+        const updated = {
+            ...this.assessment.calculateResults(answers, definition),
+            timestamp: results.timestamp
+        };
+
+        // Keep the in-progress answers in sync when reviewing your own attempt
+        if (results.bank.id === this.questionBank.definition?.id &&
+            results.bank.version === this.questionBank.definition?.version) {
+            this.assessment.answers = [...answers];
+        }
+
+        this.updateHistoryEntry(updated);
+        this.storeResults(updated);
+        this.renderResultDetails(updated);
+        this.renderSkillsChart(updated);
+        this.updateHistory(updated);
+
+        if (focusedOption !== undefined) {
+            document.querySelector(
+                `.review-item[data-question-index="${questionIndex}"] [data-option-index="${focusedOption}"]`
+            )?.focus();
+        }
+    }
+
+    getSkillData(results) {
+        const { stage, skills } = results;
+        const labels = SKILL_DIMENSIONS.map(skill => this.i18n.t(`skills.${skill}`, skill));
+
+        // Results shared before per-skill scoring existed only carry the stage
+        if (!skills) {
+            const stageSkills = this.questionBank.getStage(stage)?.skills || SKILL_DIMENSIONS.map(() => 0);
+            return { labels, values: stageSkills };
+        }
+
+        return {
+            labels,
+            values: SKILL_DIMENSIONS.map(skill => skills[skill] || 0)
+        };
+    }
+
+    renderSkillsChart(results) {
+        const previousAttempt = this.getPreviousAttempt(results);
+        const compareBtn = document.getElementById('compare-previous');
+
+        if (compareBtn) {
+            compareBtn.style.display = previousAttempt ? 'inline-block' : 'none';
+            compareBtn.setAttribute('aria-pressed', String(this.compareWithPrevious && !!previousAttempt));
+        }
+
+        const comparisonData = this.compareWithPrevious && previousAttempt
+            ? {
+                ...this.getSkillData(previousAttempt),
+                label: this.i18n.t('results.previousAttempt', 'Last attempt')
+            }
+            : null;
+
+        const skillData = {
+            ...this.getSkillData(results),
+            label: this.i18n.t('results.yourSkills', 'Your Skills')
+        };
+        this.viz.createSkillsChart('skills-chart', results.stage, skillData, comparisonData);
+        this.renderSkillsSummary(skillData, comparisonData);
+    }
+
+    renderSkillsSummary(skillData, comparisonData) {
+        // Text alternative for the radar chart, read by screen readers in place of the canvas
+        const canvas = document.getElementById('skills-chart');
+        const summary = document.getElementById('skills-chart-summary');
+        if (!canvas || !summary) return;
+
+        canvas.setAttribute('aria-label', this.i18n.t('results.skillsChartLabel', 'Radar chart of your skills, rated from 0 to 5'));
+
+        const format = value => this.i18n.t('results.skillValue', '{value} out of 5', { value: Math.round(value * 10) / 10 });
+        summary.innerHTML = skillData.labels.map((label, skillIndex) => {
+            const previous = comparisonData
+                ? ` (${comparisonData.label}: ${format(comparisonData.values[skillIndex])})`
+                : '';
+            return `<li>${label}: ${format(skillData.values[skillIndex])}${previous}</li>`;
+        }).join('');
+    }
+
+    toggleComparison() {
+        this.compareWithPrevious = !this.compareWithPrevious;
+        const storedResults = this.getStoredResults();
+        if (storedResults) {
+            this.renderSkillsChart(storedResults);
+        }
+    }
+
+    updateHistory(results) {
+        const card = document.getElementById('history-card');
+        const list = document.getElementById('history-list');
+        if (!card || !list) return;
+
+        // Only show the timeline for the user's own attempts, not for someone else's shared link
+        const history = this.getHistory();
+        const isOwnResult = history.some(entry => entry.timestamp === results.timestamp);
+        if (!isOwnResult || history.length < 2) {
+            card.style.display = 'none';
+            return;
+        }
+
+        card.style.display = 'flex';
+
+        const translations = this.i18n.translations[this.i18n.currentLang];
+        const stageLabels = translations?.stageLabels || {};
+        const hasChart = this.viz.createHistoryChart('history-chart', history, stageLabels, {
+            date: date => this.i18n.formatDate(date),
+            percent: fraction => this.i18n.formatPercent(fraction)
+        });
+
+        // Without a chart, fall back to a plain list of attempts
+        list.style.display = hasChart ? 'none' : 'block';
+        list.innerHTML = history.slice().reverse().map(entry => `
+            <li>
+                <span class="history-date">${this.i18n.formatDate(entry.timestamp)}</span>
+                <span>${stageLabels[entry.stage] || entry.stage}</span>
+            </li>
+        `).join('');
+    }
+
+    updateStageIndicator(stage, transition = null) {
         const indicator = document.getElementById('stage-indicator');
         const translations = this.i18n.translations[this.i18n.currentLang];
         
         if (indicator && translations?.stages?.[stage]) {
-            const stageNumber = stage.replace('stage', '');
+            const stageNumber = this.questionBank.getStageNumber(stage);
+            const transitionText = transition
+                ? this.i18n.t('results.transition', 'Transitioning from Stage {from} to Stage {to}', {
+                    from: this.questionBank.getStageNumber(transition.from),
+                    to: this.questionBank.getStageNumber(transition.to)
+                })
+                : '';
+
             indicator.innerHTML = `
                 <div class="stage-badge" style="background: ${this.viz.getStageColor(stage)}">
-                    Stage ${stageNumber}
+                    ${this.i18n.t('results.stageBadge', 'Stage {stage}', { stage: stageNumber })}
                 </div>
                 <span>${translations.stages[stage].title}</span>
+                ${transitionText ? `<span class="stage-transition">${transitionText}</span>` : ''}
             `;
         }
     }
 
+    updateStageBlend(results) {
+        const blend = document.getElementById('stage-blend');
+        const bar = document.getElementById('stage-blend-bar');
+        const legend = document.getElementById('stage-blend-legend');
+        const confidenceElement = document.getElementById('stage-confidence');
+        const { distribution, confidence } = results;
+
+        if (!blend || !bar || !legend || !distribution) {
+            if (blend) blend.style.display = 'none';
+            return;
+        }
+
+        const stages = Object.keys(distribution);
+        const stageLabel = stage => this.i18n.t(`stageLabels.${stage}`, stage);
+
+        bar.innerHTML = stages
+            .filter(stage => distribution[stage] > 0)
+            .map(stage => `
+                <div class="stage-blend-segment" title="${stageLabel(stage)}"
+                     style="width: ${distribution[stage] * 100}%; background: ${this.viz.getStageColor(stage)}"></div>
+            `).join('');
+
+        legend.innerHTML = stages.map(stage => `
+            <span class="stage-blend-item">
+                <span class="stage-blend-swatch" style="background: ${this.viz.getStageColor(stage)}"></span>
+                ${stageLabel(stage)} ${this.i18n.formatPercent(distribution[stage])}
+            </span>
+        `).join('');
+
+        if (confidenceElement) {
+            confidenceElement.textContent = this.getConfidenceText(confidence);
+        }
+
+        blend.style.display = 'block';
+    }
+
+    getConfidenceText(confidence) {
+        const level = confidence >= 0.3 ? 'high' : confidence >= 0.1 ? 'medium' : 'low';
+        return this.i18n.t('results.confidence.text', 'Result confidence: {level}', {
+            level: this.i18n.t(`results.confidence.${level}`, level)
+        });
+    }
+
     updateStageDescription(stage) {
         const titleElement = document.getElementById('stage-title');
         const descElement = document.getElementById('stage-description');
@@ -787,7 +2814,7 @@ class ResultsManager {
             resultsSection.style.display = 'block';
             
             // Scroll to results
-            resultsSection.scrollIntoView({ behavior: 'smooth' });
+            resultsSection.scrollIntoView({ behavior: this.viz.motion.getScrollBehavior() });
             
             // Initialize particles for results (very subtle)
             this.viz.initParticles('particles-results', {
@@ -835,7 +2862,7 @@ class ResultsManager {
     storeResults(results) {
         const resultData = {
             ...results,
-            timestamp: Date.now(),
+            timestamp: results.timestamp || Date.now(),
             language: this.i18n.currentLang
         };
         
@@ -856,108 +2883,745 @@ class ResultsManager {
         }
     }
 
-    getSharedResults() {
+    addToHistory(results) {
+        const entry = this.toHistoryEntry(results, Date.now());
+
+        try {
+            // Every attempt is kept; an entry is small enough for years of use to fit in localStorage
+            const history = [...this.getHistory(), entry];
+            localStorage.setItem('assessment-history', JSON.stringify(history));
+        } catch (error) {
+            console.warn('Failed to store assessment history:', error);
+        }
+
+        return entry;
+    }
+
+    updateHistoryEntry(results) {
+        // Revising answers from the review replaces that attempt rather than adding a new one
+        const history = this.getHistory();
+        const index = history.findIndex(entry => entry.timestamp === results.timestamp);
+        if (index === -1) return;
+
+        history[index] = this.toHistoryEntry(results, results.timestamp);
+        try {
+            localStorage.setItem('assessment-history', JSON.stringify(history));
+        } catch (error) {
+            console.warn('Failed to store assessment history:', error);
+        }
+
+        // A queued attempt should be exported with its revised answers
+        const queue = this.getExportQueue();
+        const queueIndex = queue.findIndex(entry => entry.timestamp === results.timestamp);
+        if (queueIndex !== -1) {
+            queue[queueIndex] = history[index];
+            this.saveExportQueue(queue);
+        }
+    }
+
+    toHistoryEntry(results, timestamp) {
+        return {
+            timestamp,
+            language: this.i18n.currentLang,
+            stage: results.stage,
+            scores: results.scores,
+            distribution: results.distribution,
+            confidence: results.confidence,
+            transition: results.transition,
+            skills: results.skills,
+            answers: results.answers,
+            bank: results.bank
+        };
+    }
+
+    getHistory() {
+        try {
+            const stored = localStorage.getItem('assessment-history');
+            const history = stored ? JSON.parse(stored) : [];
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            console.warn('Failed to retrieve assessment history:', error);
+            return [];
+        }
+    }
+
+    getExportQueue() {
+        try {
+            const stored = localStorage.getItem(EXPORT_QUEUE_STORAGE_KEY);
+            const queue = stored ? JSON.parse(stored) : [];
+            return Array.isArray(queue) ? queue : [];
+        } catch (error) {
+            console.warn('Failed to retrieve export queue:', error);
+            return [];
+        }
+    }
+
+    saveExportQueue(queue) {
+        try {
+            localStorage.setItem(EXPORT_QUEUE_STORAGE_KEY, JSON.stringify(queue));
+        } catch (error) {
+            console.warn('Failed to store export queue:', error);
+        }
+        this.updateExportQueueButtons();
+    }
+
+    queueForExport(entry) {
+        // Kept apart from the history so exporting doesn't change what the timeline shows
+        this.saveExportQueue([...this.getExportQueue(), entry]);
+    }
+
+    markExported(results) {
+        if (!results?.timestamp) return;
+
+        const queue = this.getExportQueue();
+        const remaining = queue.filter(entry => entry.timestamp !== results.timestamp);
+        if (remaining.length !== queue.length) {
+            this.saveExportQueue(remaining);
+        }
+    }
+
+    async exportQueue() {
+        const queue = this.getExportQueue();
+        if (queue.length === 0) return;
+
+        // One share link per line, the format the team dashboard reads
+        const lines = [];
+        for (const entry of queue) {
+            try {
+                const shareUrl = await this.buildShareUrl(entry);
+                if (shareUrl) lines.push(shareUrl);
+            } catch (error) {
+                console.warn('Failed to encode queued results:', error);
+            }
+        }
+
+        if (lines.length === 0) {
+            this.showShareNotification(false);
+            return;
+        }
+
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(new File([`${lines.join('\n')}\n`], `ai-journey-results-${date}.txt`, { type: 'text/plain' }));
+        this.saveExportQueue([]);
+    }
+
+    updateExportQueueButtons() {
+        const count = this.getExportQueue().length;
+        document.querySelectorAll('[data-export-queue]').forEach(btn => {
+            btn.textContent = this.i18n.t('queue.export', { one: 'Export {count} saved result', other: 'Export {count} saved results' }, { count });
+            btn.style.display = count > 0 ? '' : 'none';
+        });
+    }
+
+    getPreviousAttempt(results) {
+        if (!results.timestamp) return null;
+
+        const history = this.getHistory();
+        const index = history.findIndex(entry => entry.timestamp === results.timestamp);
+        return index > 0 ? history[index - 1] : null;
+    }
+
+    async getSharedResults() {
         try {
             const urlParams = new URLSearchParams(window.location.search);
-            const encodedResults = urlParams.get('results');
+            const shareCode = urlParams.get('r');
             
-            if (!encodedResults) {
+            if (!shareCode) {
                 return null;
             }
             
-            // Decode the results from URL
-            const decodedResults = JSON.parse(atob(encodedResults));
-            
-            // Validate the results structure
-            if (decodedResults && decodedResults.stage && decodedResults.percentage) {
-                return decodedResults;
-            }
-            
-            return null;
+            // Only answers travel in the link; scores are recomputed so they cannot be forged
+            return await this.assessment.resultsFromShareCode(shareCode, this.questionBank.bankId);
         } catch (error) {
             console.warn('Failed to retrieve shared results:', error);
             return null;
         }
     }
 
-    shareResults(results) {
-        const { stage, percentage, scores } = results;
+    async buildShareUrl(results) {
+        const { answers, bank } = results;
+        if (!answers || !bank?.id) {
+            return null;
+        }
+
+        const definition = await this.questionBank.loadDefinition(bank.id, bank.version);
+        const params = new URLSearchParams();
+        params.set('r', ShareCodec.encode(answers, definition));
+        if (bank.id !== DEFAULT_QUESTION_BANK) {
+            params.set('bank', bank.id);
+        }
+
+        // Link to the pre-built landing page for this stage so previews show it; it redirects into the app
+        const lang = this.i18n.currentLang;
+        const appUrl = `${window.location.protocol}//${window.location.host}${window.location.pathname.replace(/[^/]*$/, '')}`;
+        if (await this.hasSharePage(lang, results.stage)) {
+            return `${appUrl}share/${encodeURIComponent(lang)}/${encodeURIComponent(results.stage)}/?${params.toString()}`;
+        }
+
+        // No page for this language or stage until build-share-pages.js is rerun, so link to the app itself
+        params.set('lang', lang);
+        return `${appUrl}?${params.toString()}`;
+    }
+
+    async hasSharePage(lang, stage) {
+        // share/pages.json lists the landing pages the last build wrote
+        if (!this.sharePages) {
+            this.sharePages = fetch('./share/pages.json')
+                .then(response => response.ok ? response.json() : {})
+                .catch(() => ({}));
+        }
+        const pages = await this.sharePages;
+        return (pages[lang] || []).includes(stage);
+    }
+
+    async shareResults(results) {
+        const { stage } = results;
+        const stageTitle = this.i18n.t(`stages.${stage}.title`, stage);
+        const stageNumber = this.questionBank.getStageNumber(stage);
+        
+        // Create translated results text
+        const resultsText = this.i18n.t('share.text', 'I\'m at Stage {stage}: {title} on my AI Developer Journey!\n\nDiscover your AI development stage!', {
+            stage: stageNumber,
+            title: stageTitle
+        });
+        
+        // Encode the answers in a compact share code
+        let shareUrl = null;
+        try {
+            shareUrl = await this.buildShareUrl(results);
+        } catch (error) {
+            console.error('Failed to encode results:', error);
+        }
+
+        // Results saved before answers were recorded cannot be shared
+        if (!shareUrl) {
+            this.showShareNotification(false);
+            return;
+        }
+        
+        const shareData = {
+            title: this.i18n.t('title', 'AI Developer Journey'),
+            text: resultsText,
+            url: shareUrl
+        };
+
+        if (navigator.share) {
+            navigator.share(shareData)
+                .then(() => this.markExported(results))
+                .catch(err => {
+                    console.log('Error sharing:', err);
+                    if (this.fallbackShare(shareData)) this.markExported(results);
+                });
+        } else if (this.fallbackShare(shareData)) {
+            this.markExported(results);
+        }
+    }
+
+    async shareImage(results) {
+        const { stage } = results;
+        const stageNumber = this.questionBank.getStageNumber(stage);
+
+        let blob = null;
+        try {
+            blob = await this.viz.createResultsCard({
+                stage,
+                badge: this.i18n.t('results.stageBadge', 'Stage {stage}', { stage: stageNumber }),
+                title: this.i18n.t(`stages.${stage}.title`, stage),
+                summary: this.i18n.t(`stages.${stage}.summary`, ''),
+                footer: `${this.i18n.t('title', 'AI Developer Journey')} · ${window.location.host}`,
+                chartCanvasId: 'skills-chart'
+            });
+        } catch (error) {
+            console.error('Failed to render results card:', error);
+        }
+
+        if (!blob) {
+            this.showShareNotification(false);
+            return;
+        }
+
+        const file = new File([blob], `ai-journey-${stage}.png`, { type: 'image/png' });
+        const shareUrl = await this.buildShareUrl(results).catch(() => null);
+
+        // Share the image directly where the platform accepts files, otherwise download it
+        if (navigator.canShare?.({ files: [file] })) {
+            try {
+                await navigator.share({
+                    files: [file],
+                    title: this.i18n.t('title', 'AI Developer Journey'),
+                    url: shareUrl || undefined
+                });
+                this.markExported(results);
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                console.log('Error sharing image:', error);
+            }
+        }
+
+        this.downloadFile(file);
+        this.markExported(results);
+    }
+
+    async exportPlan(results) {
+        let plan;
+        try {
+            plan = await this.getPlanData(results);
+        } catch (error) {
+            console.error('Failed to prepare development plan:', error);
+            this.showShareNotification(false);
+            return;
+        }
+
+        const format = await this.choosePlanFormat();
+        if (format === 'markdown') {
+            this.downloadPlanMarkdown(plan);
+            this.markExported(results);
+        } else if (format === 'pdf') {
+            this.printPlan(plan);
+            this.markExported(results);
+        }
+    }
+
+    async choosePlanFormat() {
+        if (window.Swal) {
+            const choice = await Swal.fire({
+                title: this.i18n.t('plan.export', 'Export Plan'),
+                text: this.i18n.t('plan.chooseFormat', 'Choose a format for your development plan'),
+                showDenyButton: true,
+                showCancelButton: true,
+                confirmButtonText: this.i18n.t('plan.markdown', 'Markdown'),
+                denyButtonText: this.i18n.t('plan.pdf', 'PDF'),
+                cancelButtonText: this.i18n.t('plan.cancel', 'Cancel')
+            });
+            if (choice.isConfirmed) return 'markdown';
+            return choice.isDenied ? 'pdf' : null;
+        }
+
+        // confirm() only offers two buttons, so ask about each format in turn; cancelling both exports nothing
+        const title = this.i18n.t('plan.export', 'Export Plan');
+        if (confirm(`${title}\n\n${this.i18n.t('plan.confirmPdf', 'Print the plan or save it as a PDF?')}`)) {
+            return 'pdf';
+        }
+        if (confirm(`${title}\n\n${this.i18n.t('plan.confirmMarkdown', 'Download the plan as a Markdown file instead?')}`)) {
+            return 'markdown';
+        }
+        return null;
+    }
+
+    async getPlanData(results) {
+        const { stage, distribution, confidence, answers, bank } = results;
+        const lang = this.i18n.currentLang;
+        const stageInfo = this.i18n.translations[lang]?.stages?.[stage] || {};
+
+        // Pair each answer with its question from the bank version the results were scored against
+        let answeredQuestions = [];
+        if (answers && bank?.id) {
+            const definition = await this.questionBank.loadDefinition(bank.id, bank.version);
+            answeredQuestions = this.questionBank.getQuestions(lang, definition).map((question, index) => ({
+                question: question.question,
+                answer: AssessmentManager.describeAnswer(question, answers[index], this.i18n) ||
+                    this.i18n.t('plan.unanswered', 'Not answered')
+            }));
+        }
+
+        const skillData = this.getSkillData(results);
+
+        return {
+            stage,
+            date: this.i18n.formatDate(results.timestamp || Date.now()),
+            badge: this.i18n.t('results.stageBadge', 'Stage {stage}', { stage: this.questionBank.getStageNumber(stage) }),
+            title: stageInfo.title || stage,
+            description: stageInfo.description || '',
+            scores: distribution
+                ? Object.keys(distribution).map(id => ({
+                    label: this.i18n.t(`stageLabels.${id}`, id),
+                    percent: this.i18n.formatPercent(distribution[id])
+                }))
+                : [],
+            confidence: typeof confidence === 'number' ? this.getConfidenceText(confidence) : '',
+            skills: skillData.labels.map((label, index) => ({ label, value: skillData.values[index] })),
+            chartImage: this.viz.getChartImage('skills-chart'),
+            answeredQuestions,
+            nextSteps: stageInfo.nextSteps || [],
+            tools: stageInfo.tools || []
+        };
+    }
+
+    renderPlanMarkdown(plan) {
+        const lines = [
+            `# ${this.i18n.t('plan.title', 'Personal Development Plan')}`,
+            '',
+            `_${this.i18n.t('plan.generated', 'Generated {date}', { date: plan.date })}_`,
+            '',
+            `## ${plan.badge}: ${plan.title}`,
+            '',
+            plan.description,
+            ''
+        ];
+
+        if (plan.scores.length > 0) {
+            lines.push(`## ${this.i18n.t('plan.scoreBreakdown', 'Score Breakdown')}`, '');
+            plan.scores.forEach(score => lines.push(`- ${score.label}: ${score.percent}`));
+            if (plan.confidence) lines.push('', plan.confidence);
+            lines.push('');
+        }
+
+        lines.push(`## ${this.i18n.t('results.currentSkills', 'Your Current Skills')}`, '');
+        if (plan.chartImage) lines.push(`![${this.i18n.t('results.currentSkills', 'Your Current Skills')}](${plan.chartImage})`, '');
+        plan.skills.forEach(skill => lines.push(`- ${skill.label}: ${skill.value} / 5`));
+        lines.push('');
+
+        if (plan.answeredQuestions.length > 0) {
+            lines.push(`## ${this.i18n.t('plan.answers', 'Your Answers')}`, '');
+            plan.answeredQuestions.forEach((item, index) => {
+                lines.push(`${index + 1}. **${item.question}**`, `   ${item.answer}`);
+            });
+            lines.push('');
+        }
+
+        lines.push(`## ${this.i18n.t('results.nextSteps', 'Next Steps')}`, '');
+        plan.nextSteps.forEach(step => lines.push(`- [ ] ${step}`));
+        lines.push('', `## ${this.i18n.t('results.recommendations', 'Tool Recommendations')}`, '');
+        plan.tools.forEach(tool => lines.push(`- ${tool}`));
+
+        return `${lines.join('\n')}\n`;
+    }
+
+    renderPlanHtml(plan) {
+        const section = (titleKey, fallback, body) => `
+            <section class="print-plan-section">
+                <h2>${this.i18n.t(titleKey, fallback)}</h2>
+                ${body}
+            </section>
+        `;
+
+        return `
+            <h1>${this.i18n.t('plan.title', 'Personal Development Plan')}</h1>
+            <p class="print-plan-date">${this.i18n.t('plan.generated', 'Generated {date}', { date: plan.date })}</p>
+            <section class="print-plan-section">
+                <span class="print-plan-badge" style="background: ${this.viz.getStageColor(plan.stage)}">${plan.badge}</span>
+                <h2>${plan.title}</h2>
+                <p>${plan.description}</p>
+            </section>
+            ${plan.scores.length > 0 ? section('plan.scoreBreakdown', 'Score Breakdown', `
+                <ul>${plan.scores.map(score => `<li>${score.label}: ${score.percent}</li>`).join('')}</ul>
+                ${plan.confidence ? `<p>${plan.confidence}</p>` : ''}
+            `) : ''}
+            ${section('results.currentSkills', 'Your Current Skills', `
+                <div class="print-plan-skills">
+                    ${plan.chartImage ? `<img src="${plan.chartImage}" alt="">` : ''}
+                    <ul>${plan.skills.map(skill => `<li>${skill.label}: ${skill.value} / 5</li>`).join('')}</ul>
+                </div>
+            `)}
+            ${plan.answeredQuestions.length > 0 ? section('plan.answers', 'Your Answers', `
+                <ol>${plan.answeredQuestions.map(item => `<li><strong>${item.question}</strong><br>${item.answer}</li>`).join('')}</ol>
+            `) : ''}
+            ${section('results.nextSteps', 'Next Steps', `<ul>${plan.nextSteps.map(step => `<li>${step}</li>`).join('')}</ul>`)}
+            ${section('results.recommendations', 'Tool Recommendations', `<ul>${plan.tools.map(tool => `<li>${tool}</li>`).join('')}</ul>`)}
+        `;
+    }
+
+    downloadPlanMarkdown(plan) {
+        const file = new File([this.renderPlanMarkdown(plan)], `ai-journey-plan-${plan.stage}.md`, { type: 'text/markdown' });
+        this.downloadFile(file);
+    }
+
+    printPlan(plan) {
+        const container = document.getElementById('print-plan');
+        if (!container) return;
+
+        // The print stylesheet shows only this container; "Save as PDF" in the dialog produces the file
+        container.innerHTML = this.renderPlanHtml(plan);
+        document.body.classList.add('printing-plan');
+        window.addEventListener('afterprint', () => {
+            document.body.classList.remove('printing-plan');
+        }, { once: true });
+        window.print();
+    }
+
+    downloadFile(file) {
+        const url = URL.createObjectURL(file);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file.name;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    fallbackShare(shareData) {
+        // Create a temporary text area to copy to clipboard
+        const textArea = document.createElement('textarea');
+        textArea.value = `${shareData.text}\n${shareData.url}`;
+        document.body.appendChild(textArea);
+        textArea.select();
+        
+        try {
+            document.execCommand('copy');
+            this.showShareNotification(true);
+            return true;
+        } catch (err) {
+            console.error('Failed to copy:', err);
+            this.showShareNotification(false);
+            return false;
+        } finally {
+            document.body.removeChild(textArea);
+        }
+    }
+
+    showShareNotification(success) {
+        const text = success
+            ? this.i18n.t('share.successText', 'Results copied to clipboard')
+            : this.i18n.t('share.errorText', 'Please try again');
+        
+        if (window.Swal) {
+            Swal.fire({
+                icon: success ? 'success' : 'error',
+                title: success ? this.i18n.t('share.successTitle', 'Copied!') : this.i18n.t('share.errorTitle', 'Share Failed'),
+                text,
+                timer: 2000,
+                showConfirmButton: false
+            });
+        } else {
+            alert(text);
+        }
+    }
+}
+
+// Team Dashboard
+class TeamManager {
+    constructor(i18n, visualizationManager, resultsManager, assessment) {
+        this.i18n = i18n;
+        this.viz = visualizationManager;
+        this.results = resultsManager;
+        this.assessment = assessment;
+        this.members = [];
+    }
+
+    async parseEntries(text) {
+        const members = [];
+        const errors = [];
+
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        for (const line of lines) {
+            const member = await this.parseEntry(line, members.length + 1);
+            if (member) {
+                members.push(member);
+            } else {
+                errors.push(line);
+            }
+        }
+
+        return { members, errors };
+    }
+
+    async parseEntry(line, memberNumber) {
+        // Accepts "Name https://...?r=...", a bare share URL or a raw share code; every entry is re-scored from its answers
+        let name = '';
+        let payload = line;
+        let bankId = DEFAULT_QUESTION_BANK;
+
+        const urlMatch = line.match(/https?:\/\/\S+/);
+        if (urlMatch) {
+            name = line.slice(0, urlMatch.index).replace(/[:\-–]\s*$/, '').trim();
+            try {
+                const params = new URL(urlMatch[0]).searchParams;
+                payload = params.get('r');
+                bankId = params.get('bank') || DEFAULT_QUESTION_BANK;
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (!payload) return null;
+
+        try {
+            const results = await this.assessment.resultsFromShareCode(payload, bankId);
+            if (!results || !results.stage) return null;
+
+            return {
+                name: name || this.i18n.t('team.member', 'Member {number}', { number: memberNumber }),
+                stage: results.stage,
+                results
+            };
+        } catch (error) {
+            console.warn('Failed to decode team entry:', error);
+            return null;
+        }
+    }
+
+    async readFiles(fileList) {
+        const contents = await Promise.all(Array.from(fileList).map(file => file.text()));
+        // Each file may hold one or more entries, one per line
+        return contents.join('\n');
+    }
+
+    async buildDashboard(text) {
+        const { members, errors } = await this.parseEntries(text);
+        this.members = members;
+        this.renderStatus(members.length, errors.length);
+
+        const dashboard = document.getElementById('team-dashboard');
+        if (!dashboard) return;
+
+        if (members.length === 0) {
+            dashboard.style.display = 'none';
+            return;
+        }
+
+        dashboard.style.display = 'grid';
+        this.render();
+    }
+
+    render() {
+        if (this.members.length === 0) return;
+
+        this.renderStageDistribution();
+        this.renderAverageScores();
+        this.renderCommonNextSteps();
+        this.renderScoringComparison().catch(error => {
+            console.warn('Failed to compare scoring strategies:', error);
+        });
+
+        const members = this.members.map(member => ({
+            name: member.name,
+            stage: member.stage,
+            skillData: this.results.getSkillData(member.results)
+        }));
+        this.viz.createTeamSkillsChart('team-skills-chart', members);
+    }
+
+    renderStatus(memberCount, errorCount) {
+        const status = document.getElementById('team-status');
+        if (!status) return;
+
+        const loaded = this.i18n.t('team.loaded', { one: '{count} result loaded', other: '{count} results loaded' }, { count: memberCount });
+        const skipped = errorCount > 0
+            ? ` · ${this.i18n.t('team.skipped', { one: '{count} entry could not be read', other: '{count} entries could not be read' }, { count: errorCount })}`
+            : '';
+        status.textContent = loaded + skipped;
+    }
+
+    getStageKeys() {
+        return this.assessment.questionBank.getStageIds();
+    }
+
+    renderStageDistribution() {
+        const list = document.getElementById('team-distribution');
+        if (!list) return;
+
+        const counts = {};
+        this.members.forEach(member => {
+            counts[member.stage] = (counts[member.stage] || 0) + 1;
+        });
+
+        list.innerHTML = this.getStageKeys().map(stage => {
+            const count = counts[stage] || 0;
+            return `
+                <li class="team-bar-item">
+                    <span class="team-bar-label">${this.i18n.t(`stageLabels.${stage}`, stage)}</span>
+                    <div class="team-bar">
+                        <div class="team-bar-fill" style="width: ${(count / this.members.length) * 100}%; background: ${this.viz.getStageColor(stage)}"></div>
+                    </div>
+                    <span class="team-bar-value">${count}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    renderAverageScores() {
+        const list = document.getElementById('team-average-scores');
+        if (!list) return;
+
+        const stages = this.getStageKeys();
+        const averages = {};
+        stages.forEach(stage => {
+            const total = this.members.reduce((sum, member) => sum + (member.results.distribution?.[stage] || 0), 0);
+            averages[stage] = total / this.members.length;
+        });
+
+        list.innerHTML = stages.map(stage => `
+            <li class="team-bar-item">
+                <span class="team-bar-label">${this.i18n.t(`stageLabels.${stage}`, stage)}</span>
+                <div class="team-bar">
+                    <div class="team-bar-fill" style="width: ${averages[stage] * 100}%; background: ${this.viz.getStageColor(stage)}"></div>
+                </div>
+                <span class="team-bar-value">${this.i18n.formatPercent(averages[stage])}</span>
+            </li>
+        `).join('');
+    }
+
+    renderCommonNextSteps() {
+        const list = document.getElementById('team-next-steps');
         const translations = this.i18n.translations[this.i18n.currentLang];
-        const stageTitle = translations?.stages?.[stage]?.title || stage;
-        const stageNumber = stage.replace('stage', '');
-        
-        // Create translated results text
-        const shareText = translations?.share?.text || `I'm at Stage ${stageNumber}: ${stageTitle} on my AI Developer Journey!\n\nDiscover your AI development stage!`;
-        const resultsText = shareText.replace('{stage}', stageNumber).replace('{title}', stageTitle);
-        
-        // Encode results in URL parameters
-        const resultsData = {
-            stage: stage,
-            percentage: percentage,
-            scores: scores,
-            lang: this.i18n.currentLang,
-            timestamp: Date.now()
-        };
-        
-        const encodedResults = btoa(JSON.stringify(resultsData));
-        const baseUrl = `${window.location.protocol}//${window.location.host}${window.location.pathname}`;
-        const shareUrl = `${baseUrl}?results=${encodedResults}`;
-        
-        const shareData = {
-            title: translations?.title || 'AI Developer Journey',
-            text: resultsText,
-            url: shareUrl
-        };
+        if (!list) return;
 
-        if (navigator.share) {
-            navigator.share(shareData).catch(err => {
-                console.log('Error sharing:', err);
-                this.fallbackShare(shareData);
+        const counts = {};
+        this.members.forEach(member => {
+            (translations?.stages?.[member.stage]?.nextSteps || []).forEach(step => {
+                counts[step] = (counts[step] || 0) + 1;
             });
-        } else {
-            this.fallbackShare(shareData);
-        }
+        });
+
+        list.innerHTML = Object.keys(counts)
+            .sort((a, b) => counts[b] - counts[a])
+            .slice(0, 5)
+            .map(step => `<li>${step} <span class="team-step-count">×${counts[step]}</span></li>`)
+            .join('');
     }
 
-    fallbackShare(shareData) {
-        // Create a temporary text area to copy to clipboard
-        const textArea = document.createElement('textarea');
-        textArea.value = `${shareData.text}\n${shareData.url}`;
-        document.body.appendChild(textArea);
-        textArea.select();
-        
-        try {
-            document.execCommand('copy');
-            this.showShareNotification(true);
-        } catch (err) {
-            console.error('Failed to copy:', err);
-            this.showShareNotification(false);
-        } finally {
-            document.body.removeChild(textArea);
+    async renderScoringComparison() {
+        const container = document.getElementById('team-scoring');
+        if (!container) return;
+
+        // Re-score each member's answers against the bank version they were given; exports without answers are skipped
+        const answerSets = [];
+        for (const member of this.members) {
+            const { answers, bank } = member.results;
+            if (!Array.isArray(answers) || !bank?.id) continue;
+            const definition = await this.assessment.questionBank.loadDefinition(bank.id, bank.version);
+            answerSets.push({ answers, definition });
         }
-    }
 
-    showShareNotification(success) {
-        const translations = this.i18n.translations[this.i18n.currentLang];
-        
-        if (window.Swal) {
-            const successTitle = translations?.share?.successTitle || 'Copied!';
-            const successText = translations?.share?.successText || 'Results copied to clipboard';
-            const errorTitle = translations?.share?.errorTitle || 'Share Failed';
-            const errorText = translations?.share?.errorText || 'Please try again';
-            
-            Swal.fire({
-                icon: success ? 'success' : 'error',
-                title: success ? successTitle : errorTitle,
-                text: success ? successText : errorText,
-                timer: 2000,
-                showConfirmButton: false
-            });
-        } else {
-            const successMsg = translations?.share?.successText || 'Results copied to clipboard!';
-            const errorMsg = translations?.share?.errorText || 'Failed to share results.';
-            alert(success ? successMsg : errorMsg);
+        if (answerSets.length === 0) {
+            container.innerHTML = '';
+            return;
         }
+
+        const { current, strategies } = this.assessment.compareStrategies(answerSets);
+        const stages = this.getStageKeys();
+        const strategyLabel = strategy => {
+            const label = this.i18n.t(`scoring.${strategy}`, strategy);
+            return strategy === current ? this.i18n.t('team.current', '{strategy} (current)', { strategy: label }) : label;
+        };
+
+        container.innerHTML = `
+            <table class="team-scoring-table">
+                <thead>
+                    <tr>
+                        <th scope="col">${this.i18n.t('team.strategy', 'Strategy')}</th>
+                        ${stages.map(stage => `
+                            <th scope="col" title="${this.i18n.t(`stageLabels.${stage}`, stage)}">
+                                <span class="stage-blend-swatch" style="background: ${this.viz.getStageColor(stage)}"></span>
+                                ${this.i18n.t('results.stageBadge', 'Stage {stage}', { stage: this.assessment.questionBank.getStageNumber(stage) })}
+                            </th>
+                        `).join('')}
+                        <th scope="col">${this.i18n.t('team.changed', 'Changed')}</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.keys(strategies).map(strategy => `
+                        <tr${strategy === current ? ' class="current"' : ''}>
+                            <th scope="row">${strategyLabel(strategy)}</th>
+                            ${stages.map(stage => `<td>${this.i18n.formatNumber(strategies[strategy].counts[stage] || 0)}</td>`).join('')}
+                            <td>${this.i18n.formatNumber(strategies[strategy].changed)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
     }
 }
 
@@ -965,20 +3629,43 @@ class ResultsManager {
 class AIJourneyApp {
     constructor() {
         this.i18n = new I18nManager();
-        this.assessment = new AssessmentManager(this.i18n);
-        this.viz = new VisualizationManager();
-        this.results = new ResultsManager(this.i18n, this.viz);
+        this.motion = new MotionManager();
+        this.questionBank = new QuestionBankManager(this.i18n);
+        this.assessment = new AssessmentManager(this.i18n, this.questionBank, this.motion);
+        this.viz = new VisualizationManager(this.motion);
+        this.results = new ResultsManager(this.i18n, this.viz, this.assessment, this.questionBank);
+        this.team = new TeamManager(this.i18n, this.viz, this.results, this.assessment);
         this.isInitialized = false;
         this.pendingSharedResults = null;
+        this.pendingTeamView = false;
+        this.pendingProgress = null;
+        this.updateAccepted = false;
     }
 
     async init() {
         try {
+            // Apply motion settings before anything animates
+            this.applyMotionSettings();
+            this.motion.onChange(() => this.handleMotionChange());
+
             // Show loading screen
             this.showLoadingScreen();
+
+            // Libraries are optional; each one that failed to load is replaced by its fallback
+            await window.vendorLibraries?.ready;
             
-            // Load initial language
+            // Load the language manifest, initial language and question bank
+            await this.i18n.loadManifest();
             await this.i18n.loadTranslations(this.i18n.currentLang);
+            await this.questionBank.load();
+            await this.questionBank.loadTranslations(this.i18n.currentLang);
+            
+            // Stop before rendering anything from a broken question bank
+            const report = await this.questionBank.validate();
+            if (!report.valid) {
+                this.showBankErrors(report.errors);
+                return;
+            }
             
             // Initialize UI
             this.initializeUI();
@@ -993,7 +3680,21 @@ class AIJourneyApp {
             this.initializeAnimations();
             
             // Check for shared results and display them
-            this.checkForSharedResults();
+            await this.checkForSharedResults();
+            
+            // Offer to continue an assessment interrupted by a reload
+            this.checkForSavedProgress();
+            this.results.updateExportQueueButtons();
+            
+            // Offline support and update prompts
+            this.registerServiceWorker();
+            
+            // Translation completeness overlay for translators
+            if (new URLSearchParams(window.location.search).get('i18n-debug') === '1') {
+                this.showI18nDebugOverlay().catch(error => {
+                    console.error('Failed to show the i18n report:', error);
+                });
+            }
             
             // Hide loading screen
             this.hideLoadingScreen();
@@ -1002,7 +3703,7 @@ class AIJourneyApp {
             
         } catch (error) {
             console.error('Failed to initialize app:', error);
-            this.showErrorMessage('Failed to load the application. Please refresh and try again.');
+            this.showErrorMessage(this.i18n.t('errors.loadFailed', 'Failed to load the application. Please refresh and try again.'));
         }
     }
 
@@ -1019,7 +3720,7 @@ class AIJourneyApp {
         
         if (loadingScreen && mainContainer) {
             setTimeout(() => {
-                if (window.gsap) {
+                if (window.gsap && !this.motion.isReduced()) {
                     gsap.to(loadingScreen, {
                         opacity: 0,
                         duration: 0.5,
@@ -1041,8 +3742,14 @@ class AIJourneyApp {
     }
 
     initializeUI() {
-        // Set HTML language attribute
-        document.documentElement.lang = this.i18n.currentLang;
+        // Set HTML language and direction attributes
+        this.i18n.applyDocumentLanguage();
+        
+        // Build the language switcher from the manifest
+        this.i18n.renderLanguageSwitcher();
+        
+        // Stage colors, bubbles and cards come from the question bank
+        this.renderStageModel();
         
         // Update all UI text
         this.i18n.updateUI();
@@ -1051,6 +3758,33 @@ class AIJourneyApp {
         this.assessment.loadQuestions();
     }
 
+    renderStageModel() {
+        const stages = this.questionBank.getStages();
+        this.viz.setStages(stages);
+
+        // The hero's 2x2 layout fits four stages; longer ladders switch to three columns
+        const preview = document.querySelector('.stage-preview');
+        if (preview) {
+            preview.classList.toggle('is-wide', stages.length > 4);
+            preview.innerHTML = stages.map(stage => `
+                <div class="stage-bubble" style="--stage-color: ${stage.color}"
+                     data-i18n-tooltip="stageLabels.${stage.id}"></div>
+            `).join('');
+        }
+
+        const overview = document.querySelector('.stages-overview');
+        if (overview) {
+            overview.innerHTML = stages.map(stage => `
+                <div class="stage-card" style="--stage-color: ${stage.color}"
+                     data-aos="fade-up" data-aos-delay="${stage.number * 100}">
+                    <div class="stage-number">${stage.number}</div>
+                    <h4 data-i18n="stages.${stage.id}.title"></h4>
+                    <p data-i18n="stages.${stage.id}.summary"></p>
+                </div>
+            `).join('');
+        }
+    }
+
     setupEventListeners() {
         // Language switcher
         document.querySelectorAll('.lang-btn').forEach(btn => {
@@ -1058,21 +3792,7 @@ class AIJourneyApp {
                 e.preventDefault();
                 const lang = btn.dataset.lang;
                 if (lang && lang !== this.i18n.currentLang) {
-                    const success = await this.i18n.changeLanguage(lang);
-                    if (success) {
-                        // Reload questions if in assessment mode
-                        if (this.isInAssessmentMode()) {
-                            this.assessment.loadQuestions();
-                            this.assessment.renderQuestion(this.assessment.currentQuestionIndex);
-                        }
-                        // Update results if viewing results
-                        if (this.isInResultsMode()) {
-                            const storedResults = this.results.getStoredResults();
-                            if (storedResults) {
-                                this.results.displayResults(storedResults);
-                            }
-                        }
-                    }
+                    await this.switchLanguage(lang);
                 }
             });
         });
@@ -1085,6 +3805,39 @@ class AIJourneyApp {
             });
         }
 
+        // Results saved while offline, exported together as share links
+        document.querySelectorAll('[data-export-queue]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.results.exportQueue();
+            });
+        });
+
+        // Team dashboard
+        document.querySelectorAll('[data-open-team]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.showTeamDashboard();
+            });
+        });
+
+        const teamAnalyzeBtn = document.getElementById('team-analyze');
+        const teamInput = document.getElementById('team-input');
+        const teamFiles = document.getElementById('team-files');
+
+        if (teamAnalyzeBtn && teamInput) {
+            teamAnalyzeBtn.addEventListener('click', () => {
+                this.team.buildDashboard(teamInput.value);
+            });
+        }
+
+        if (teamFiles && teamInput) {
+            teamFiles.addEventListener('change', async () => {
+                const fileText = await this.team.readFiles(teamFiles.files);
+                teamInput.value = [teamInput.value.trim(), fileText].filter(Boolean).join('\n');
+                teamFiles.value = '';
+                this.team.buildDashboard(teamInput.value);
+            });
+        }
+
         // Assessment navigation
         const prevBtn = document.getElementById('prev-question');
         const nextBtn = document.getElementById('next-question');
@@ -1123,6 +3876,13 @@ class AIJourneyApp {
             });
         }
 
+        const compareBtn = document.getElementById('compare-previous');
+        if (compareBtn) {
+            compareBtn.addEventListener('click', () => {
+                this.results.toggleComparison();
+            });
+        }
+
         if (shareBtn) {
             shareBtn.addEventListener('click', () => {
                 const storedResults = this.results.getStoredResults();
@@ -1132,14 +3892,61 @@ class AIJourneyApp {
             });
         }
 
-        // Keyboard navigation
+        const exportPlanBtn = document.getElementById('export-plan');
+        if (exportPlanBtn) {
+            exportPlanBtn.addEventListener('click', () => {
+                const storedResults = this.results.getStoredResults();
+                if (storedResults) {
+                    this.results.exportPlan(storedResults);
+                }
+            });
+        }
+
+        const motionBtn = document.getElementById('toggle-motion');
+        if (motionBtn) {
+            motionBtn.addEventListener('click', () => {
+                this.motion.setReduced(!this.motion.isReduced());
+            });
+        }
+
+        const autoAdvanceBtn = document.getElementById('toggle-auto-advance');
+        if (autoAdvanceBtn) {
+            autoAdvanceBtn.addEventListener('click', () => {
+                this.motion.setAutoAdvance(!this.motion.isAutoAdvance());
+            });
+        }
+
+        const shareImageBtn = document.getElementById('share-image');
+        if (shareImageBtn) {
+            shareImageBtn.addEventListener('click', () => {
+                const storedResults = this.results.getStoredResults();
+                if (storedResults) {
+                    this.results.shareImage(storedResults);
+                }
+            });
+        }
+
+        // Keyboard navigation; arrows follow the reading direction
         document.addEventListener('keydown', (e) => {
             if (this.isInAssessmentMode()) {
-                if (e.key === 'ArrowLeft' && !prevBtn?.disabled) {
+                // Leave keys alone in text fields, dialogs and key combinations
+                if (e.altKey || e.ctrlKey || e.metaKey || e.target.closest?.('input, textarea, select, .swal2-container')) {
+                    return;
+                }
+
+                const rtl = document.documentElement.dir === 'rtl';
+                const backKey = rtl ? 'ArrowRight' : 'ArrowLeft';
+                const forwardKey = rtl ? 'ArrowLeft' : 'ArrowRight';
+                // Enter on a focused control activates that control instead
+                const onControl = e.target.closest?.('#question-container button');
+
+                if (/^[1-9]$/.test(e.key) && this.assessment.selectByNumber(parseInt(e.key))) {
+                    e.preventDefault();
+                } else if (e.key === backKey && !prevBtn?.disabled) {
                     this.assessment.previousQuestion();
-                } else if (e.key === 'ArrowRight' && !nextBtn?.disabled) {
+                } else if (e.key === forwardKey && !nextBtn?.disabled) {
                     this.assessment.nextQuestion();
-                } else if (e.key === 'Enter' && finishBtn?.style.display !== 'none') {
+                } else if (e.key === 'Enter' && !onControl && finishBtn?.style.display !== 'none') {
                     this.finishAssessment();
                 }
             }
@@ -1161,14 +3968,79 @@ class AIJourneyApp {
         });
     }
 
+    async switchLanguage(lang) {
+        // Merge the bank's own stage text first, so the UI is redrawn with it rather than the app's
+        if (this.i18n.getLanguage(lang)) {
+            await this.questionBank.loadTranslations(lang);
+        }
+
+        const success = await this.i18n.changeLanguage(lang);
+        if (!success) return false;
+
+        // Reload questions if in assessment mode, keeping answers matched by id
+        if (this.isInAssessmentMode()) {
+            const { missing } = this.assessment.reloadQuestions();
+            this.assessment.renderQuestion(this.assessment.currentQuestionIndex, { focusHeading: false });
+            this.warnAboutLanguageSwitch(lang, missing);
+        }
+        // Update results if viewing results
+        if (this.isInResultsMode()) {
+            const storedResults = this.results.getStoredResults();
+            if (storedResults) {
+                this.results.displayResults(storedResults);
+            }
+        }
+        // Update team dashboard if open
+        if (this.isInTeamMode()) {
+            this.team.render();
+        }
+        this.results.updateExportQueueButtons();
+        return true;
+    }
+
+    warnAboutLanguageSwitch(lang, missingAnswerIds) {
+        const untranslated = this.questionBank.getUntranslatedQuestionIds(lang);
+        if (missingAnswerIds.length === 0 && untranslated.length === 0) return;
+
+        const languageName = this.i18n.getLanguage(lang)?.name || lang;
+        const messages = [];
+        if (missingAnswerIds.length > 0) {
+            messages.push(this.i18n.t('languageSwitch.answersDropped', {
+                one: 'Your answer to question {questions} could not be carried over. Please answer it again.',
+                other: 'Your answers to questions {questions} could not be carried over. Please answer them again.'
+            }, { count: missingAnswerIds.length, questions: this.i18n.formatList(missingAnswerIds) }));
+        }
+        if (untranslated.length > 0) {
+            messages.push(this.i18n.t('languageSwitch.untranslated', {
+                one: 'Question {questions} is not fully translated into {language} yet and is shown in English.',
+                other: 'Questions {questions} are not fully translated into {language} yet and are shown in English.'
+            }, { count: untranslated.length, questions: this.i18n.formatList(untranslated), language: languageName }));
+        }
+
+        console.warn(`Language switch to ${lang}:`, messages.join(' '));
+        if (window.Swal) {
+            Swal.fire({
+                icon: 'warning',
+                title: this.i18n.t('languageSwitch.title', 'Some questions need attention'),
+                text: messages.join('\n\n'),
+                confirmButtonColor: '#3B82F6'
+            });
+        } else {
+            alert(messages.join('\n\n'));
+        }
+    }
+
     initializeAnimations() {
+        const reduced = this.motion.isReduced();
+
         // Initialize AOS (Animate On Scroll)
         if (window.AOS) {
             AOS.init({
                 duration: 600,
                 easing: 'ease-out-cubic',
                 once: true,
-                offset: 50
+                offset: 50,
+                disable: reduced
             });
         }
 
@@ -1182,8 +4054,10 @@ class AIJourneyApp {
         }
 
         // GSAP animations for hero section
-        if (window.gsap) {
-            gsap.registerPlugin(ScrollTrigger);
+        if (window.gsap && !reduced) {
+            if (window.ScrollTrigger) {
+                gsap.registerPlugin(ScrollTrigger);
+            }
             
             // Hero content animation
             gsap.fromTo('.hero-content', {
@@ -1212,6 +4086,44 @@ class AIJourneyApp {
         }
     }
 
+    applyMotionSettings() {
+        const reduced = this.motion.isReduced();
+        const autoAdvance = this.motion.isAutoAdvance();
+
+        // The class switches off CSS animations and transitions, see styles.css
+        document.documentElement.classList.toggle('reduce-motion', reduced);
+
+        const motionBtn = document.getElementById('toggle-motion');
+        if (motionBtn) {
+            motionBtn.setAttribute('aria-pressed', String(reduced));
+            motionBtn.classList.toggle('active', reduced);
+        }
+
+        const autoAdvanceBtn = document.getElementById('toggle-auto-advance');
+        if (autoAdvanceBtn) {
+            autoAdvanceBtn.setAttribute('aria-pressed', String(autoAdvance));
+            autoAdvanceBtn.classList.toggle('active', autoAdvance);
+        }
+    }
+
+    handleMotionChange() {
+        const wasReduced = document.documentElement.classList.contains('reduce-motion');
+        this.applyMotionSettings();
+
+        if (this.motion.isReduced() !== wasReduced) {
+            if (this.motion.isReduced()) {
+                this.destroyParticles();
+            } else {
+                this.reinitializeParticles();
+            }
+        }
+
+        // Next appears for single choices once auto-advance is off
+        if (this.isInAssessmentMode()) {
+            this.assessment.updateNavigationButtons();
+        }
+    }
+
     initializeParticles() {
         // Ensure particles container exists and is properly set up
         const heroContainer = document.getElementById('particles-hero');
@@ -1244,17 +4156,21 @@ class AIJourneyApp {
         }
     }
 
+    destroyParticles() {
+        if (window.pJSDom && window.pJSDom.length > 0) {
+            window.pJSDom.forEach(pjs => {
+                if (pjs.pJS && pjs.pJS.fn && pjs.pJS.fn.vendors) {
+                    pjs.pJS.fn.vendors.destroypJS();
+                }
+            });
+            window.pJSDom = [];
+        }
+    }
+
     reinitializeParticles() {
         try {
             // Clean up existing particles
-            if (window.pJSDom && window.pJSDom.length > 0) {
-                window.pJSDom.forEach(pjs => {
-                    if (pjs.pJS && pjs.pJS.fn && pjs.pJS.fn.vendors) {
-                        pjs.pJS.fn.vendors.destroypJS();
-                    }
-                });
-                window.pJSDom = [];
-            }
+            this.destroyParticles();
             
             // Reinitialize particles
             setTimeout(() => {
@@ -1272,16 +4188,23 @@ class AIJourneyApp {
         if (heroSection && assessmentSection) {
             // Reset assessment
             this.assessment.reset();
-            
+            this.showAssessment();
+        }
+    }
+
+    showAssessment() {
+        const assessmentSection = document.getElementById('assessment');
+        
+        if (assessmentSection) {
             // Show assessment section
             assessmentSection.style.display = 'block';
-            assessmentSection.scrollIntoView({ behavior: 'smooth' });
+            assessmentSection.scrollIntoView({ behavior: this.motion.getScrollBehavior() });
             
-            // Render first question
-            this.assessment.renderQuestion(0);
+            // Render the current question
+            this.assessment.renderQuestion(this.assessment.currentQuestionIndex);
             
             // Animate transition
-            if (window.gsap) {
+            if (window.gsap && !this.motion.isReduced()) {
                 gsap.fromTo(assessmentSection, {
                     opacity: 0,
                     y: 30
@@ -1296,8 +4219,12 @@ class AIJourneyApp {
     }
 
     finishAssessment() {
-        // Calculate results
-        const results = this.assessment.calculateResults();
+        // Calculate results and keep them in the progress history
+        const calculated = this.assessment.calculateResults(this.assessment.getActiveAnswers());
+        this.assessment.clearProgress();
+        const historyEntry = this.results.addToHistory(calculated);
+        this.results.queueForExport(historyEntry);
+        const results = { ...calculated, timestamp: historyEntry.timestamp };
         
         // Display results
         this.results.displayResults(results);
@@ -1316,10 +4243,10 @@ class AIJourneyApp {
             
             // Reset and start assessment
             this.assessment.reset();
-            this.assessment.renderQuestion(0);
+            this.assessment.renderQuestion(this.assessment.currentQuestionIndex);
             
             assessmentSection.style.display = 'block';
-            assessmentSection.scrollIntoView({ behavior: 'smooth' });
+            assessmentSection.scrollIntoView({ behavior: this.motion.getScrollBehavior() });
         }
     }
 
@@ -1333,6 +4260,19 @@ class AIJourneyApp {
         return resultsSection && resultsSection.style.display !== 'none';
     }
 
+    isInTeamMode() {
+        const teamSection = document.getElementById('team');
+        return teamSection && teamSection.style.display !== 'none';
+    }
+
+    showTeamDashboard() {
+        const teamSection = document.getElementById('team');
+        if (!teamSection) return;
+
+        teamSection.style.display = 'block';
+        teamSection.scrollIntoView({ behavior: this.motion.getScrollBehavior() });
+    }
+
     handleResize() {
         // Handle any resize-related updates if needed
         if (this.isInResultsMode()) {
@@ -1341,11 +4281,16 @@ class AIJourneyApp {
             if (skillsChart) {
                 const storedResults = this.results.getStoredResults();
                 if (storedResults) {
-                    this.viz.createSkillsChart('skills-chart', storedResults.stage, storedResults.scores);
+                    this.results.renderSkillsChart(storedResults);
+                    this.results.updateHistory(storedResults);
                 }
             }
         }
 
+        if (this.isInTeamMode()) {
+            this.team.render();
+        }
+
         // Refresh AOS
         if (window.AOS) {
             AOS.refresh();
@@ -1362,29 +4307,95 @@ class AIJourneyApp {
         });
     }
 
-    checkForSharedResults() {
-        const sharedResults = this.results.getSharedResults();
+    async checkForSharedResults() {
+        const sharedResults = await this.results.getSharedResults();
         if (sharedResults) {
             // Store shared results to display after loading screen
             this.pendingSharedResults = sharedResults;
         }
+
+        // Deep link straight into the team dashboard
+        const urlParams = new URLSearchParams(window.location.search);
+        if (urlParams.get('view') === 'team') {
+            this.pendingTeamView = true;
+        }
+    }
+
+    checkForSavedProgress() {
+        // Shared links and the team view take priority over resuming
+        if (this.pendingSharedResults || this.pendingTeamView) return;
+
+        const progress = this.assessment.getSavedProgress();
+        if (!progress) return;
+
+        // Progress from another bank stays saved for when that bank is opened again
+        if (progress.bank?.id !== this.questionBank.bankId) return;
+
+        if (!this.assessment.isProgressCompatible(progress)) {
+            // The bank changed since, so the saved answers would land on different questions
+            console.info('Discarding saved assessment progress made with a different version of the question bank');
+            this.assessment.clearProgress();
+            return;
+        }
+
+        this.pendingProgress = progress;
+    }
+
+    async offerResume() {
+        const progress = this.pendingProgress;
+        this.pendingProgress = null;
+
+        const answeredCount = progress.answers.filter(answer => AssessmentManager.isAnswered(answer)).length;
+        const text = this.i18n.t('resume.text', {
+            one: 'You answered {count} question before leaving.',
+            other: 'You answered {count} questions before leaving.'
+        }, { count: answeredCount });
+
+        let resume;
+        if (window.Swal) {
+            const choice = await Swal.fire({
+                title: this.i18n.t('resume.title', 'Pick up where you left off?'),
+                text,
+                icon: 'question',
+                showCancelButton: true,
+                confirmButtonText: this.i18n.t('resume.continue', 'Resume'),
+                cancelButtonText: this.i18n.t('resume.restart', 'Start over'),
+                confirmButtonColor: '#3B82F6'
+            });
+            resume = choice.isConfirmed;
+        } else {
+            resume = window.confirm(`${this.i18n.t('resume.title', 'Pick up where you left off?')}\n${text}`);
+        }
+
+        if (!resume) {
+            this.assessment.clearProgress();
+            return;
+        }
+
+        if (progress.language && progress.language !== this.i18n.currentLang &&
+            this.i18n.getLanguageCodes().includes(progress.language)) {
+            await this.switchLanguage(progress.language);
+        }
+
+        if (this.assessment.restoreProgress(progress)) {
+            this.showAssessment();
+        }
     }
 
     displayPendingSharedResults() {
+        if (this.pendingProgress) {
+            this.offerResume();
+        }
+
+        if (this.pendingTeamView) {
+            this.showTeamDashboard();
+            this.pendingTeamView = false;
+        }
+
         if (this.pendingSharedResults) {
-            const sharedResults = this.pendingSharedResults;
-            
-            // Update the language if specified in the shared results
-            if (sharedResults.lang && sharedResults.lang !== this.i18n.currentLang) {
-                this.i18n.changeLanguage(sharedResults.lang).then(() => {
-                    this.results.displayResults(sharedResults);
-                    this.cleanupSharedResultsUrl();
-                });
-            } else {
-                this.results.displayResults(sharedResults);
-                this.cleanupSharedResultsUrl();
-            }
-            
+            // The shared link's ?lang= and ?bank= were already applied during init
+            this.results.displayResults(this.pendingSharedResults);
+            this.cleanupSharedResultsUrl();
             this.pendingSharedResults = null;
         }
     }
@@ -1393,16 +4404,134 @@ class AIJourneyApp {
         // Clean up the URL after results are fully displayed
         setTimeout(() => {
             const url = new URL(window.location);
-            url.searchParams.delete('results');
+            url.searchParams.delete('r');
             window.history.replaceState({}, '', url);
         }, 2000); // Wait longer to ensure results are fully rendered
     }
 
+    async showI18nDebugOverlay() {
+        // Load every language so the report covers more than the active one
+        const languages = this.i18n.getLanguageCodes();
+        await Promise.all(languages.map(lang => Promise.all([
+            this.i18n.loadTranslations(lang),
+            this.questionBank.loadTranslations(lang)
+        ]).catch(error => console.warn(`i18n debug: failed to load ${lang}:`, error))));
+
+        const sources = [
+            { label: 'lang', reports: this.i18n.reports },
+            { label: `banks/${this.questionBank.bankId}`, reports: this.questionBank.reports }
+        ];
+
+        const sections = languages.filter(lang => lang !== BASE_LANGUAGE).flatMap(lang =>
+            sources.map(({ label, reports }) => {
+                const report = reports[lang] || { missing: [], extra: [] };
+                const items = [
+                    ...report.missing.map(key => `<li class="i18n-debug-missing">− ${key}</li>`),
+                    ...report.extra.map(key => `<li class="i18n-debug-extra">+ ${key}</li>`)
+                ];
+                return `
+                    <section>
+                        <h5>${this.i18n.t('i18nDebug.summary', '{file}: {missing} missing, {extra} extra', {
+                            file: `${label}/${lang}.json`,
+                            missing: report.missing.length,
+                            extra: report.extra.length
+                        })}</h5>
+                        ${items.length ? `<ul>${items.join('')}</ul>` : ''}
+                    </section>
+                `;
+            })
+        );
+
+        const overlay = document.createElement('div');
+        overlay.id = 'i18n-debug';
+        overlay.className = 'i18n-debug';
+        overlay.innerHTML = `
+            <div class="i18n-debug-header">
+                <strong>${this.i18n.t('i18nDebug.title', 'i18n report (base: {base})', { base: BASE_LANGUAGE })}</strong>
+                <button type="button" class="i18n-debug-close" aria-label="${this.i18n.t('i18nDebug.close', 'Close')}">×</button>
+            </div>
+            ${sections.join('')}
+        `;
+        overlay.querySelector('.i18n-debug-close').addEventListener('click', () => overlay.remove());
+        document.body.appendChild(overlay);
+    }
+
+    showBankErrors(errors) {
+        const shownErrors = errors.slice(0, 5).map(error => `• ${error}`);
+        if (errors.length > shownErrors.length) {
+            shownErrors.push(`• ${this.i18n.t('errors.more', '... {count} more', { count: errors.length - shownErrors.length })}`);
+        }
+
+        const intro = this.i18n.t('errors.invalidBank', 'The question bank "{bank}" is invalid and cannot be loaded:', {
+            bank: this.questionBank.bankId
+        });
+        this.showErrorMessage(`${intro}\n${shownErrors.join('\n')}`);
+    }
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('./sw.js').then(registration => {
+            // A worker already waiting was installed on an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.offerUpdate(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker?.addEventListener('statechange', () => {
+                    // Without a controller this is the first install, not an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.offerUpdate(worker);
+                    }
+                });
+            });
+        }).catch(error => {
+            console.warn('Failed to register service worker:', error);
+        });
+
+        // The first install also changes the controller (clients.claim), so only reload for an
+        // update the user accepted; otherwise a shared result or a running quiz would be thrown away
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (reloading || !this.updateAccepted) return;
+            reloading = true;
+            window.location.reload();
+        });
+    }
+
+    async offerUpdate(worker) {
+        // In-progress answers are saved, so reloading mid-assessment loses nothing
+        const title = this.i18n.t('update.title', 'Update available');
+        const text = this.i18n.t('update.text', 'A new version of the assessment is available. Reload to use it?');
+
+        let accepted;
+        if (window.Swal) {
+            const choice = await Swal.fire({
+                icon: 'info',
+                title,
+                text,
+                showCancelButton: true,
+                confirmButtonText: this.i18n.t('update.reload', 'Reload'),
+                cancelButtonText: this.i18n.t('update.later', 'Later'),
+                confirmButtonColor: '#3B82F6'
+            });
+            accepted = choice.isConfirmed;
+        } else {
+            accepted = confirm(`${title}\n\n${text}`);
+        }
+
+        if (accepted) {
+            this.updateAccepted = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        }
+    }
+
     showErrorMessage(message) {
         if (window.Swal) {
             Swal.fire({
                 icon: 'error',
-                title: 'Oops!',
+                title: this.i18n.t('errors.title', 'Oops!'),
                 text: message,
                 confirmButtonColor: '#3B82F6'
             });
@@ -1412,14 +4541,6 @@ class AIJourneyApp {
     }
 }
 
-// PWA Service Worker Registration
-if ('serviceWorker' in navigator && 'PushManager' in window) {
-    window.addEventListener('load', () => {
-        // Note: Service worker would be implemented separately
-        // This is just a placeholder for PWA functionality
-    });
-}
-
 // Initialize the application when DOM is loaded
 document.addEventListener('DOMContentLoaded', () => {
     const app = new AIJourneyApp();
@@ -1439,5 +4560,5 @@ window.addEventListener('unhandledrejection', (e) => {
 
 // Export for potential module usage
 if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { AIJourneyApp, I18nManager, AssessmentManager, VisualizationManager, ResultsManager };
+    module.exports = { AIJourneyApp, I18nManager, QuestionBankManager, AssessmentManager, ShareCodec, MotionManager, VisualizationManager, ResultsManager, TeamManager };
 }
\ No newline at end of file
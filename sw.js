@@ -0,0 +1,72 @@
+// Service Worker
+// Precaches the app so the assessment runs offline once it has been opened.
+// The file list and cache version come from precache.js: rerun `node build-precache.js` before each release,
+// and installed copies then show an "update available" prompt.
+const CACHE_PREFIX = 'ai-journey-';
+
+// The library list, so vendor/ files are precached without listing them twice, and the generated file list
+importScripts('./vendor-loader.js', './precache.js');
+
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_VERSION}`;
+
+function getVendorFiles() {
+    return VENDOR_LIBRARIES.flatMap(library => [...library.scripts, ...(library.styles || [])])
+        .map(asset => `${VENDOR_DIR}${asset.file}`);
+}
+
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    await cache.addAll(PRECACHE_FILES);
+
+    // Vendored libraries are optional, like in the page; a missing one must not block the install
+    await Promise.all(getVendorFiles().map(file => cache.add(file).catch(error => {
+        console.warn(`Service worker could not cache ${file}:`, error);
+    })));
+}
+
+self.addEventListener('install', event => {
+    // Wait for the page to confirm the update rather than swapping files under a running assessment
+    event.waitUntil(precache());
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', event => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    // Pages carry share codes and languages in the query string, but are all the same file.
+    // They come from the cache like everything else, so page and script always match one version.
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+        );
+        return;
+    }
+
+    // Cache first; anything else the app fetches is kept for next time
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => {
+            if (response.ok) {
+                const copy = response.clone();
+                caches.open(CACHE_NAME).then(cache => cache.put(request, copy));
+            }
+            return response;
+        }))
+    );
+});
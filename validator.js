@@ -0,0 +1,439 @@
+// Question Bank Validator
+// Runs in the browser at load time and under Node: `node validator.js [bankId]`
+const QUESTION_TYPES = ['single', 'multi', 'scale', 'rank'];
+// Names of the app's SCORING_STRATEGIES; "sum" when a bank sets none
+const SCORING_STRATEGY_NAMES = ['sum', 'normalized', 'median'];
+
+class QuestionBankValidator {
+    constructor({ bank, bankTranslations = {}, appTranslations = {} }) {
+        this.bank = bank;
+        this.bankTranslations = bankTranslations;
+        this.appTranslations = appTranslations;
+        this.errors = [];
+        this.warnings = [];
+    }
+
+    validate() {
+        this.errors = [];
+        this.warnings = [];
+
+        if (!this.bank || !Array.isArray(this.bank.questions)) {
+            this.errors.push('Question bank has no "questions" list');
+            return this.getReport();
+        }
+
+        const stageIds = this.getStageIds();
+        if (stageIds.length === 0) {
+            this.errors.push('Question bank defines no stages');
+            return this.getReport();
+        }
+
+        this.validateStages();
+        this.validateScoring();
+        this.validateQuestions(stageIds);
+        this.validateAdaptive(stageIds);
+        this.validateBankTranslations();
+        this.validateStageKeys(stageIds);
+        this.validateReachability(stageIds);
+
+        return this.getReport();
+    }
+
+    getReport() {
+        return {
+            valid: this.errors.length === 0,
+            errors: [...this.errors],
+            warnings: [...this.warnings]
+        };
+    }
+
+    getStageIds() {
+        return (this.bank.stages || []).map(stage => stage.id).filter(Boolean);
+    }
+
+    validateStages() {
+        const seenIds = new Set();
+
+        this.bank.stages.forEach((stage, stageIndex) => {
+            const label = `Stage ${stage.id ?? `#${stageIndex + 1}`}`;
+
+            if (!stage.id) {
+                this.errors.push(`${label} is missing an "id"`);
+            } else if (seenIds.has(stage.id)) {
+                this.errors.push(`${label} has a duplicate id`);
+            }
+            seenIds.add(stage.id);
+
+            if (stage.color === undefined) {
+                this.warnings.push(`${label} has no color and will use a default one`);
+            } else if (!/^#[0-9a-f]{6}$/i.test(stage.color)) {
+                this.errors.push(`${label} has color "${stage.color}"; expected a hex color such as "#10B981"`);
+            }
+
+            // Typical skills fill the radar for results shared before per-skill scoring
+            Object.keys(stage.skills || {}).forEach(skill => {
+                const value = stage.skills[skill];
+                if (typeof value !== 'number' || value < 0 || value > 5) {
+                    this.errors.push(`${label} has skill "${skill}" set to ${JSON.stringify(value)}; expected a number from 0 to 5`);
+                }
+            });
+        });
+    }
+
+    validateScoring() {
+        const { scoring } = this.bank;
+        if (scoring !== undefined && !SCORING_STRATEGY_NAMES.includes(scoring)) {
+            this.errors.push(`Unknown scoring strategy "${scoring}" (expected ${SCORING_STRATEGY_NAMES.join(', ')})`);
+        }
+    }
+
+    validateQuestions(stageIds) {
+        const seenIds = new Set();
+
+        this.bank.questions.forEach((question, questionIndex) => {
+            const label = `Question ${question.id ?? `#${questionIndex + 1}`}`;
+
+            if (question.id === undefined) {
+                this.errors.push(`${label} is missing an "id"`);
+            } else if (seenIds.has(question.id)) {
+                this.errors.push(`${label} has a duplicate id`);
+            }
+            seenIds.add(question.id);
+
+            if (!question.textKey) {
+                this.errors.push(`${label} is missing a "textKey"`);
+            }
+
+            const type = question.type || 'single';
+            if (!QUESTION_TYPES.includes(type)) {
+                this.errors.push(`${label} has unknown type "${type}" (expected ${QUESTION_TYPES.join(', ')})`);
+            }
+
+            if (question.weight !== undefined && !(typeof question.weight === 'number' && question.weight > 0)) {
+                this.errors.push(`${label} has weight ${JSON.stringify(question.weight)}; expected a positive number`);
+            }
+
+            if (!Array.isArray(question.options) || question.options.length === 0) {
+                this.errors.push(`${label} has no options`);
+                return;
+            }
+
+            if (type !== 'single' && question.options.length < 2) {
+                this.errors.push(`${label} is a ${type} question and needs at least two options`);
+            }
+
+            // Rankings are shared as a list of option indexes, which would make long lists unwieldy
+            if (type === 'rank' && question.options.length > 8) {
+                this.errors.push(`${label} ranks ${question.options.length} options; the limit is 8`);
+            }
+
+            question.options.forEach((option, optionIndex) => {
+                const optionLabel = `${label}, option ${option.id ?? `#${optionIndex + 1}`}`;
+
+                // Scales only need labels at both ends; the points in between show their number
+                const isScaleMiddle = type === 'scale' && optionIndex > 0 && optionIndex < question.options.length - 1;
+                if (!option.textKey && !isScaleMiddle) {
+                    this.errors.push(`${optionLabel} is missing a "textKey"`);
+                }
+
+                if (!option.score || typeof option.score !== 'object') {
+                    this.errors.push(`${optionLabel} is missing a "score"`);
+                    return;
+                }
+
+                stageIds.forEach(stage => {
+                    if (typeof option.score[stage] !== 'number') {
+                        this.errors.push(`${optionLabel} has no numeric score for "${stage}"`);
+                    }
+                });
+
+                Object.keys(option.score).forEach(stage => {
+                    if (!stageIds.includes(stage)) {
+                        this.errors.push(`${optionLabel} scores unknown stage "${stage}"`);
+                    }
+                });
+            });
+        });
+    }
+
+    validateAdaptive(stageIds) {
+        const { adaptive } = this.bank;
+        if (adaptive !== undefined) {
+            if (!adaptive || typeof adaptive !== 'object') {
+                this.errors.push('"adaptive" must be an object');
+            } else {
+                ['minQuestions', 'stopConfidence', 'followUpMargin'].forEach(setting => {
+                    if (adaptive[setting] !== undefined && typeof adaptive[setting] !== 'number') {
+                        this.errors.push(`"adaptive.${setting}" must be a number`);
+                    }
+                });
+            }
+        }
+
+        this.bank.questions.forEach((question, questionIndex) => {
+            const label = `Question ${question.id ?? `#${questionIndex + 1}`}`;
+
+            (question.showIf || []).forEach(condition => {
+                // Conditions can only look back at questions asked earlier
+                const targetIndex = this.bank.questions.findIndex(other => String(other.id) === String(condition.question));
+                const target = this.bank.questions[targetIndex];
+                if (!target) {
+                    this.errors.push(`${label} has a condition on unknown question "${condition.question}"`);
+                    return;
+                }
+                if (targetIndex >= questionIndex) {
+                    this.errors.push(`${label} has a condition on question ${condition.question}, which comes after it`);
+                }
+
+                const optionIds = (target.options || []).map(option => option.id);
+                [...(condition.answerIn || []), ...(condition.answerNotIn || [])].forEach(optionId => {
+                    if (!optionIds.includes(optionId)) {
+                        this.errors.push(`${label} has a condition on unknown option "${optionId}" of question ${condition.question}`);
+                    }
+                });
+            });
+
+            if (question.followUp) {
+                if (!adaptive) {
+                    this.warnings.push(`${label} is a follow-up, but follow-ups are only asked in adaptive banks`);
+                }
+                (question.followUp.stages || []).forEach(stage => {
+                    if (!stageIds.includes(stage)) {
+                        this.errors.push(`${label} is a follow-up for unknown stage "${stage}"`);
+                    }
+                });
+            }
+        });
+    }
+
+    validateBankTranslations() {
+        const languages = Object.keys(this.bankTranslations);
+        if (languages.length === 0) {
+            this.errors.push('No question bank translations were provided');
+            return;
+        }
+
+        languages.forEach(lang => {
+            const strings = this.bankTranslations[lang];
+
+            this.bank.questions.forEach(question => {
+                const label = `[${lang}] Question ${question.id}`;
+
+                if (question.textKey && !this.lookup(strings, question.textKey)) {
+                    this.errors.push(`${label} is missing text for "${question.textKey}"`);
+                }
+
+                (question.options || []).forEach(option => {
+                    if (option.textKey && !this.lookup(strings, option.textKey)) {
+                        this.errors.push(`${label} is missing option text for "${option.textKey}"`);
+                    }
+                });
+
+                // Options only line up across languages when every language has the same count
+                const labelledOptions = (question.options || []).filter(option => option.textKey).length;
+                const parentKey = (question.options?.[0]?.textKey || '').split('.').slice(0, -1).join('.');
+                const translatedOptions = parentKey ? this.lookup(strings, parentKey) : null;
+                if (translatedOptions && typeof translatedOptions === 'object' &&
+                    Object.keys(translatedOptions).length !== labelledOptions) {
+                    this.errors.push(
+                        `${label} has ${Object.keys(translatedOptions).length} translated options, ` +
+                        `but the bank defines ${labelledOptions}`
+                    );
+                }
+            });
+
+            if (strings?.questions && typeof strings.questions === 'object') {
+                const bankQuestionIds = this.bank.questions.map(question => String(question.id));
+                Object.keys(strings.questions).forEach(id => {
+                    if (!bankQuestionIds.includes(id)) {
+                        this.warnings.push(`[${lang}] Translation for question ${id} has no matching question in the bank`);
+                    }
+                });
+            }
+        });
+    }
+
+    validateStageKeys(stageIds) {
+        // Stage text comes from the bank's strings when it has its own, otherwise from the app's
+        const languages = [...new Set([...Object.keys(this.appTranslations), ...Object.keys(this.bankTranslations)])];
+
+        languages.forEach(lang => {
+            ['stages', 'stageLabels'].forEach(section => {
+                const bankKeys = Object.keys(this.bankTranslations[lang]?.[section] || {});
+                const appKeys = Object.keys(this.appTranslations[lang]?.[section] || {});
+
+                stageIds.forEach(stage => {
+                    if (!bankKeys.includes(stage) && !appKeys.includes(stage)) {
+                        this.errors.push(`[${lang}] "${section}" is missing stage "${stage}"`);
+                    }
+                });
+
+                // The app's own stages are only unused when the bank doesn't replace them
+                (bankKeys.length > 0 ? bankKeys : appKeys).forEach(stage => {
+                    if (!stageIds.includes(stage)) {
+                        this.warnings.push(`[${lang}] "${section}.${stage}" is not a stage in this bank`);
+                    }
+                });
+            });
+        });
+    }
+
+    validateReachability(stageIds) {
+        const questions = this.bank.questions.filter(question =>
+            Array.isArray(question.options) && question.options.length > 0
+        );
+
+        // What an answer adds to each stage under the bank's scoring strategy
+        const scoring = this.bank.scoring || 'sum';
+        const contribution = (question, option) => {
+            const weight = question.weight ?? 1;
+            const score = id => option.score?.[id] || 0;
+            const total = stageIds.reduce((sum, id) => sum + score(id), 0);
+
+            const values = {};
+            stageIds.forEach(id => {
+                values[id] = scoring === 'normalized'
+                    ? (total > 0 ? (score(id) / total) * weight : 0)
+                    : score(id) * weight;
+            });
+            return values;
+        };
+
+        stageIds.forEach((stage, stageIndex) => {
+            if (scoring === 'median') {
+                if (!this.isMedianReachable(stage, stageIndex, questions, stageIds)) {
+                    this.warnings.push(`Stage "${stage}" cannot be reached by any combination of answers`);
+                }
+                return;
+            }
+
+            // Best case for this stage: per question, the option that favours it most over the rest
+            const totals = {};
+            stageIds.forEach(id => {
+                totals[id] = 0;
+            });
+
+            questions.forEach(question => {
+                const margin = values => values[stage] - Math.max(...stageIds.filter(id => id !== stage).map(id => values[id]));
+                const best = question.options
+                    .map(option => contribution(question, option))
+                    .reduce((a, b) => margin(b) > margin(a) ? b : a);
+                stageIds.forEach(id => {
+                    totals[id] += best[id];
+                });
+            });
+
+            // Ties resolve toward the earlier stage, so later stages must strictly lead
+            const reachable = stageIds.every((id, index) => id === stage ||
+                (index < stageIndex ? totals[stage] > totals[id] : totals[stage] >= totals[id])
+            );
+
+            if (!reachable || totals[stage] === 0) {
+                this.warnings.push(`Stage "${stage}" cannot be reached by any combination of answers`);
+            }
+        });
+    }
+
+    isMedianReachable(stage, stageIndex, questions, stageIds) {
+        // Same rule as the median strategy: each answer votes for the stage it scores highest (the
+        // earlier one on a tie), and the first stage where the running total reaches half the votes wins
+        const leaderIndex = option => {
+            const score = id => option.score?.[id] || 0;
+            const leader = stageIds.reduce((best, id) => score(id) > score(best) ? id : best, stageIds[0]);
+            return score(leader) > 0 ? stageIds.indexOf(leader) : -1;
+        };
+
+        // Best case: vote for this stage wherever an answer can, and otherwise land below or above it,
+        // spreading questions that can go either way to keep both sides under half
+        let below = 0;
+        let at = 0;
+        let above = 0;
+        const eitherSide = [];
+        questions.forEach(question => {
+            const weight = question.weight ?? 1;
+            const leaders = question.options.map(leaderIndex).filter(index => index !== -1);
+            if (leaders.length === 0) return;
+
+            if (leaders.includes(stageIndex)) {
+                at += weight;
+            } else if (leaders.every(index => index < stageIndex)) {
+                below += weight;
+            } else if (leaders.every(index => index > stageIndex)) {
+                above += weight;
+            } else {
+                eitherSide.push(weight);
+            }
+        });
+        // Votes below must stay strictly under half, so a tie goes above
+        eitherSide.sort((a, b) => b - a).forEach(weight => {
+            if (below < above) {
+                below += weight;
+            } else {
+                above += weight;
+            }
+        });
+
+        const half = (below + at + above) / 2;
+        return at > 0 && below < half && below + at >= half;
+    }
+
+    lookup(obj, key) {
+        return key.split('.').reduce((o, k) => o?.[k], obj);
+    }
+}
+
+// Command line usage: node validator.js [bankId]
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { QuestionBankValidator };
+
+    if (typeof require !== 'undefined' && require.main === module) {
+        const fs = require('fs');
+        const path = require('path');
+
+        const bankId = process.argv[2] || 'default';
+        const bankDir = path.join(__dirname, 'banks', bankId);
+        const langDir = path.join(__dirname, 'lang');
+        const readJson = file => JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        const bankTranslations = {};
+        fs.readdirSync(bankDir)
+            .filter(file => file.endsWith('.json') && file !== 'bank.json')
+            .forEach(file => {
+                bankTranslations[path.basename(file, '.json')] = readJson(path.join(bankDir, file));
+            });
+
+        const appTranslations = {};
+        fs.readdirSync(langDir)
+            .filter(file => file.endsWith('.json') && file !== 'manifest.json')
+            .forEach(file => {
+                appTranslations[path.basename(file, '.json')] = readJson(path.join(langDir, file));
+            });
+
+        const validator = new QuestionBankValidator({
+            bank: readJson(path.join(bankDir, 'bank.json')),
+            bankTranslations,
+            appTranslations
+        });
+        const report = validator.validate();
+
+        // Share links fall back to plain app links for stages and languages the last page build didn't cover
+        const { languages } = readJson(path.join(langDir, 'manifest.json'));
+        languages.forEach(language => {
+            validator.getStageIds().forEach(stage => {
+                if (!fs.existsSync(path.join(__dirname, 'share', language.code, stage, 'index.html'))) {
+                    report.warnings.push(`Share page share/${language.code}/${stage}/ is missing; run node build-share-pages.js`);
+                }
+            });
+        });
+
+        // Installed copies only update when the precache list's version changes
+        if (!require('./build-precache.js').isUpToDate()) {
+            report.warnings.push('precache.js is out of date; run node build-precache.js');
+        }
+
+        report.errors.forEach(error => console.error(`error: ${error}`));
+        report.warnings.forEach(warning => console.warn(`warning: ${warning}`));
+        console.log(`${bankId}: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`);
+        process.exitCode = report.valid ? 0 : 1;
+    }
+}
@@ -0,0 +1,162 @@
+// Vendor Library Loader
+// Loads the third-party libraries from vendor/, falling back to their CDN, and records which loaded.
+// Every library is optional: the app checks for its global and falls back when it is missing.
+// Refresh vendor/ with `node fetch-vendor.js` after changing a version here.
+const VENDOR_LIBRARIES = [
+    {
+        name: 'gsap',
+        global: 'gsap',
+        scripts: [
+            { file: 'gsap.min.js', cdn: 'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.5/gsap.min.js' },
+            { file: 'ScrollTrigger.min.js', cdn: 'https://cdnjs.cloudflare.com/ajax/libs/gsap/3.12.5/ScrollTrigger.min.js' }
+        ]
+    },
+    {
+        name: 'chart',
+        global: 'Chart',
+        scripts: [
+            { file: 'chart.umd.js', cdn: 'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.js' }
+        ]
+    },
+    {
+        name: 'sweetalert2',
+        global: 'Swal',
+        scripts: [
+            { file: 'sweetalert2.all.min.js', cdn: 'https://cdn.jsdelivr.net/npm/sweetalert2@11.10.1/dist/sweetalert2.all.min.js' }
+        ]
+    },
+    {
+        name: 'tippy',
+        global: 'tippy',
+        scripts: [
+            { file: 'popper.min.js', cdn: 'https://unpkg.com/@popperjs/core@2.11.8/dist/umd/popper.min.js' },
+            { file: 'tippy-bundle.umd.js', cdn: 'https://unpkg.com/tippy.js@6.3.7/dist/tippy-bundle.umd.js' }
+        ]
+    },
+    {
+        name: 'particles',
+        global: 'particlesJS',
+        scripts: [
+            // The npm package only ships the unminified build
+            { file: 'particles.js', cdn: 'https://cdnjs.cloudflare.com/ajax/libs/particles.js/2.0.0/particles.js' }
+        ]
+    },
+    {
+        name: 'aos',
+        global: 'AOS',
+        scripts: [
+            { file: 'aos.js', cdn: 'https://cdn.jsdelivr.net/npm/aos@2.3.4/dist/aos.js' }
+        ],
+        // Only added once the script is in, or AOS's hidden start state would never be undone
+        styles: [
+            { file: 'aos.css', cdn: 'https://cdn.jsdelivr.net/npm/aos@2.3.4/dist/aos.css' }
+        ]
+    }
+];
+
+// Vendored files live here, relative to index.html
+const VENDOR_DIR = './vendor/';
+
+// A blocked network can hang a request instead of failing it
+const VENDOR_LOAD_TIMEOUT = 8000;
+
+class VendorLoader {
+    constructor(libraries) {
+        this.libraries = libraries;
+        // name -> 'local', 'cdn' or false
+        this.status = {};
+        this.ready = null;
+    }
+
+    load() {
+        if (!this.ready) {
+            this.ready = Promise.all(this.libraries.map(library => this.loadLibrary(library)))
+                .then(() => {
+                    const missing = Object.keys(this.status).filter(name => !this.status[name]);
+                    if (missing.length > 0) {
+                        console.warn('Optional libraries unavailable, using fallbacks:', missing);
+                    }
+                    return this.status;
+                });
+        }
+        return this.ready;
+    }
+
+    async loadLibrary(library) {
+        let source = 'local';
+        try {
+            // Scripts within a library depend on the ones before them
+            for (const script of library.scripts) {
+                const loadedFrom = await this.loadWithFallback(script, src => this.loadScript(src));
+                if (loadedFrom === 'cdn') source = 'cdn';
+            }
+
+            if (!window[library.global]) {
+                throw new Error(`${library.name} loaded but did not define window.${library.global}`);
+            }
+
+            // Without its styles a library still works, just unstyled
+            for (const style of library.styles || []) {
+                await this.loadWithFallback(style, href => this.loadStyle(href))
+                    .catch(error => console.warn(`Failed to load ${library.name} styles:`, error));
+            }
+
+            this.status[library.name] = source;
+        } catch (error) {
+            console.warn(`Failed to load ${library.name}:`, error);
+            this.status[library.name] = false;
+        }
+    }
+
+    async loadWithFallback(asset, load) {
+        try {
+            await load(`${VENDOR_DIR}${asset.file}`);
+            return 'local';
+        } catch (error) {
+            await load(asset.cdn);
+            return 'cdn';
+        }
+    }
+
+    loadScript(src) {
+        return this.loadElement('script', { src });
+    }
+
+    loadStyle(href) {
+        return this.loadElement('link', { rel: 'stylesheet', href });
+    }
+
+    loadElement(tagName, attributes) {
+        return new Promise((resolve, reject) => {
+            const element = document.createElement(tagName);
+            Object.assign(element, attributes);
+
+            const fail = () => {
+                clearTimeout(timeout);
+                element.remove();
+                reject(new Error(`Failed to load ${attributes.src || attributes.href}`));
+            };
+            const timeout = setTimeout(fail, VENDOR_LOAD_TIMEOUT);
+
+            element.onload = () => {
+                clearTimeout(timeout);
+                resolve();
+            };
+            element.onerror = fail;
+            document.head.appendChild(element);
+        });
+    }
+
+    isLoaded(name) {
+        return Boolean(this.status[name]);
+    }
+}
+
+if (typeof window !== 'undefined') {
+    window.vendorLibraries = new VendorLoader(VENDOR_LIBRARIES);
+    window.vendorLibraries.load();
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { VENDOR_LIBRARIES, VENDOR_DIR, VendorLoader };
+}